@@ -17,6 +17,7 @@ const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const { randomUUID } = require('crypto');
 
 // INICIALIZAMOS LA APP (Esto debe ir antes de los middlewares)
 const app = express();
@@ -66,7 +67,14 @@ let tablaCollection;        // Web Antigua (Tabla General)
 let historialCollection;    // Web Antigua (Historial)
 let usuariosCollection;     // App Nueva (Usuarios/Login)
 let torneosCollection;      // App Nueva (Torneos)
-let participacionesCollection; // App Nueva (Relación Jugador-Torneo)
+let pagosCollection;        // App Nueva (Cobros por Torneo)
+let trabajosMantenimientoCollection; // Bitácora de rutas /api/admin
+let notificacionesCollection; // Avisos a jugadores (App)
+let jugadoresCollection;    // Registro único de cada jugador (web + App + torneos)
+let historialRatingCollection; // Cambios de rating (Elo) por partida
+let idempotenciaCollection; // Respuestas ya dadas por clave de idempotencia (reintentos)
+let eventosPartidasCollection; // Bitácora de resultados (sólo se agregan eventos)
+let pilaDeshacerCollection;  // Operaciones de la App que cada operador puede deshacer
 
 async function connectToDB() {
     try {
@@ -78,7 +86,19 @@ async function connectToDB() {
         historialCollection = db.collection('historialPartidas');
         usuariosCollection = db.collection('usuarios');
         torneosCollection = db.collection('torneos');
-        participacionesCollection = db.collection('participaciones');
+        pagosCollection = db.collection('pagos');
+        trabajosMantenimientoCollection = db.collection('trabajosMantenimiento');
+        notificacionesCollection = db.collection('notificaciones');
+        jugadoresCollection = db.collection('jugadores');
+        historialRatingCollection = db.collection('historialRating');
+        idempotenciaCollection = db.collection('clavesIdempotencia');
+        eventosPartidasCollection = db.collection('eventosPartidas');
+        pilaDeshacerCollection = db.collection('pilaDeshacer');
+
+        // Una clave sólo se usa una vez por autor; se borran solas pasado el plazo
+        await idempotenciaCollection.createIndex({ clave: 1, autor: 1 }, { unique: true });
+        await idempotenciaCollection.createIndex({ creadoEn: 1 }, { expireAfterSeconds: HORAS_IDEMPOTENCIA * 3600 });
+        await pilaDeshacerCollection.createIndex({ torneo_id: 1, autor: 1, estado: 1, fecha: -1 });
         
         console.log('✅ Conexión a MongoDB Atlas exitosa.');
     } catch (e) {
@@ -126,6 +146,101 @@ const verificarToken = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware para rutas de mantenimiento (va después de verificarToken).
+ */
+const soloAdmin = (req, res, next) => {
+    if (req.usuario.rol !== 'admin') {
+        return res.status(403).json({ error: 'Solo el administrador puede hacer esto.' });
+    }
+    next();
+};
+
+/**
+ * Permisos por torneo.
+ * El dueño del torneo (y el admin) puede todo; los delegados solo lo que se
+ * les haya dado. Un árbitro nunca pasa de capturar resultados.
+ */
+const PERMISOS_TORNEO = ['resultados', 'inscripciones', 'reglas', 'pagos'];
+
+function esPropietario(usuario, torneo) {
+    if (!usuario || !torneo) return false;
+    if (usuario.rol === 'admin') return true;
+    return !!torneo.organizador_id && torneo.organizador_id.toString() === String(usuario.id);
+}
+
+function permisosEnTorneo(usuario, torneo) {
+    if (esPropietario(usuario, torneo)) return ['propietario', ...PERMISOS_TORNEO];
+
+    const delegado = (torneo.delegados || []).find(d =>
+        d.usuario_id && d.usuario_id.toString() === String(usuario.id) && d.estado === 'activa'
+    );
+    if (!delegado) return [];
+
+    const permisos = (delegado.permisos || []).filter(p => PERMISOS_TORNEO.includes(p));
+    const esArbitro = usuario.rol === 'arbitro' || delegado.rol === 'arbitro';
+    return esArbitro ? permisos.filter(p => p === 'resultados') : permisos;
+}
+
+function tienePermiso(usuario, torneo, permiso) {
+    return permisosEnTorneo(usuario, torneo).includes(permiso);
+}
+
+/**
+ * Quién capturó algo en un torneo (se guarda en cada resultado).
+ */
+function firmaUsuario(usuario, torneo) {
+    const delegado = (torneo.delegados || []).find(d =>
+        d.usuario_id && d.usuario_id.toString() === String(usuario.id) && d.estado === 'activa'
+    );
+    // Ni dueño ni delegado activo: es un jugador subiendo su propio resultado
+    let como = 'jugador';
+    if (esPropietario(usuario, torneo)) como = usuario.rol === 'admin' ? 'admin' : 'organizador';
+    else if (delegado) como = delegado.rol;
+    return { id: String(usuario.id), nombre: usuario.nombre, como };
+}
+
+/**
+ * Middleware para rutas API de un torneo (va después de verificarToken).
+ * Busca el torneo por body.torneoId o params.id, revisa el permiso y lo deja en req.torneo.
+ */
+const requierePermiso = (permiso) => async (req, res, next) => {
+    try {
+        const torneoId = (req.body && req.body.torneoId) || req.params.id;
+        if (!torneoId || !ObjectId.isValid(torneoId)) {
+            return res.status(400).json({ error: 'Falta un torneoId válido.' });
+        }
+
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) });
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+
+        if (!tienePermiso(req.usuario, torneo, permiso)) {
+            return res.status(403).json({ error: 'No tienes permiso sobre este torneo.' });
+        }
+
+        req.torneo = torneo;
+        next();
+    } catch (error) {
+        console.error('🔥 Error revisando permisos:', error);
+        res.status(500).json({ error: 'Error al revisar permisos.' });
+    }
+};
+
+/**
+ * Quita teléfonos de los inscritos cuando quien consulta no administra inscripciones,
+ * y los de los delegados cuando no es el dueño del torneo.
+ */
+function ocultarDatosPrivados(torneo, usuario) {
+    const copia = { ...torneo };
+    if (!usuario || !tienePermiso(usuario, torneo, 'inscripciones')) {
+        copia.jugadores_inscritos = (torneo.jugadores_inscritos || []).map(({ telefono, ...j }) => j);
+    }
+    if (torneo.delegados && (!usuario || !tienePermiso(usuario, torneo, 'propietario'))) {
+        copia.delegados = torneo.delegados.map(({ telefono, ...d }) => d);
+    }
+    return copia;
+}
+
 // ----------------------------------------------------------------------------
 // 5. RUTAS API (Backend para App Móvil / React)
 // ----------------------------------------------------------------------------
@@ -178,6 +293,9 @@ app.post('/api/auth/registro', async (req, res) => {
         );
         
         rolFinal = 'organizador';
+    } else if (rolSeleccionado === 'arbitro') {
+        // El árbitro no necesita clave: solo captura donde un organizador lo invite
+        rolFinal = 'arbitro';
     }
 
     // D. Crear el usuario
@@ -191,19 +309,35 @@ app.post('/api/auth/registro', async (req, res) => {
         fechaRegistro: new Date()
     };
 
-    await usuariosCollection.insertOne(nuevoUsuario);
-
-    // Crear su tabla de puntos inicial
-    await tablaCollection.insertOne({
-        nombre: nombre,
-        telefono: telefono,
-        puntos: 0,
-        ganadas: 0,
-        partidasJugadas: 0,
-        rol: rolFinal
-    });
+    const { insertedId } = await usuariosCollection.insertOne(nuevoUsuario);
+
+    // Su registro único de jugador (si ya jugaba en la web, es el mismo)
+    const jugador = await jugadorCanonico({ usuarioId: insertedId, telefono, nombre });
+    await usuariosCollection.updateOne({ _id: insertedId }, { $set: { jugador_id: jugador._id } });
+
+    // Su fila en la tabla general: la que ya tenía (por jugador o teléfono), o una nueva (la web usa el nombre como _id).
+    // Una fila que sólo coincide en el nombre puede ser de otra persona: no se toca, se une con la herramienta de fusión.
+    let aviso;
+    const filaExistente = await tablaCollection.findOne({ $or: [{ jugador_id: jugador._id }, { telefono }] });
+    if (filaExistente) {
+        await tablaCollection.updateOne({ _id: filaExistente._id }, { $set: { jugador_id: jugador._id } });
+    } else if (await tablaCollection.findOne({ _id: nombre })) {
+        console.warn(`⚠️ Registro de ${telefono}: ya hay una fila "${nombre}" en la tabla general de otro jugador. Pendiente de fusionar.`);
+        aviso = `Ya hay un jugador "${nombre}" en la tabla general. Si eres tú, pide al administrador que una los registros.`;
+    } else {
+        await tablaCollection.insertOne({
+            _id: nombre,
+            nombre: nombre,
+            puntos: 0,
+            ganadas: 0,
+            partidasJugadas: 0,
+            telefono: telefono,
+            rol: rolFinal,
+            jugador_id: jugador._id
+        });
+    }
 
-    res.json({ message: 'Usuario registrado con éxito', rol: rolFinal });
+    res.json({ message: 'Usuario registrado con éxito', rol: rolFinal, aviso });
 });
 
 // ==========================================
@@ -271,54 +405,94 @@ app.post('/api/admin/generar-clave', verificarToken, async (req, res) => {
 // --- B. TORNEOS ---
 
 // ==========================================
-// RUTA API: CREAR TORNEO (CON REGLAS DE PUNTOS Y CLASIFICACIÓN) 🏆
+// RUTA: CREAR TORNEO (ACTUALIZADA CON HANDICAP)
+// (Antes había dos rutas /crear y la primera tapaba a esta; ahora es una sola)
 // ==========================================
 app.post('/api/torneos/crear', verificarToken, async (req, res) => {
     try {
         console.log('📡 RECIBIENDO TORNEO COMPLETO...');
-        
-        // 1. Recibimos todos los datos nuevos
+
+        if (req.usuario.rol !== 'organizador' && req.usuario.rol !== 'admin') {
+            return res.status(403).json({ error: 'Solo un organizador puede crear torneos.' });
+        }
+
         const { 
-            nombre, sede, precio, 
-            juegos, carambolas, 
-            fechaInicio, fechaFin,
-            puntosGanar, puntosPerder, clasificados 
+            nombre, sede, precio, tipo = 'liga', 
+            juegos, carambolas, puntosGanar, puntosPerder,
+            mesasDisponibles, formatoFinal, clasificados, porcentajeMinimo,
+            usaHandicap, 
+            ventajaPorRango, // <--- NUEVO CAMPO (Ej: 2)
+            maxPagos, precioPartida, bloquearMorosos,
+            permiteEmpates, puntosEmpatar, bonoBlanqueada, bonoSerieAlta, serieAltaMinima,
+            confirmacion, horasConfirmacion, limiteEnfrentamientos, siembra, desempates,
+            minimoPartidas, reemplazos,
+            fechaInicio, fechaFin
         } = req.body;
 
-        // 2. Validaciones
+        if (confirmacion && !MODOS_CONFIRMACION.includes(confirmacion)) {
+            return res.status(400).json({ error: `Confirmación inválida. Usa: ${MODOS_CONFIRMACION.join(', ')}.` });
+        }
+        if (desempates && errorDesempates(desempates)) {
+            return res.status(400).json({ error: errorDesempates(desempates) });
+        }
+
+        // El precio es obligatorio (0 = amistoso, sin bolsa)
         if (!nombre || !sede || precio === undefined || precio === '') {
             return res.status(400).json({ error: 'Faltan datos obligatorios.' });
         }
+        const precioInscripcion = parseFloat(precio);
+        if (isNaN(precioInscripcion) || precioInscripcion < 0) {
+            return res.status(400).json({ error: 'Precio inválido.' });
+        }
 
-        // 3. Procesar Fechas
-        let inicio = new Date();
-        if (fechaInicio) inicio = new Date(fechaInicio);
-
-        // 4. Armar el objeto FINAL para la Base de Datos
         const nuevoTorneo = {
-            nombre: nombre,
-            lugar: sede,
-            precio: parseFloat(precio),
-            esAmistoso: parseFloat(precio) === 0,
+            nombre, lugar: sede, precio: precioInscripcion, tipo, esAmistoso: precioInscripcion === 0,
             
-            // --- AQUÍ ESTÁN LAS REGLAS NUEVAS ---
+            configuracion: {
+                mesas: parseInt(mesasDisponibles) || 0,
+                formatoFinal: formatoFinal || 'snake',
+                siembra: siembra === 'rating' ? 'rating' : 'tabla', // Orden de la llave: tabla o rating
+            },
+
             reglas: {
                 juegosPorEnfrentamiento: parseInt(juegos) || 1,
+                limiteEnfrentamientos: parseInt(limiteEnfrentamientos) || parseInt(juegos) || 1, // Veces que una pareja puede jugar
                 carambolasMeta: parseInt(carambolas) || 30,
+                puntos_ganar: parseInt(puntosGanar) || 3,
+                puntos_perder: parseInt(puntosPerder) || 0,
+                top_clasificados: parseInt(clasificados) || 8,
+                reemplazos: parseInt(reemplazos) >= 0 ? parseInt(reemplazos) : 2,
+                limite_partidas: parseInt(minimoPartidas) || 0, // Partidas mínimas para clasificar
+
+                // Empates y bonos (los usa el módulo de puntuación)
+                permiteEmpates: permiteEmpates === undefined ? true : (permiteEmpates === true || permiteEmpates === 'true'), // Como antes: se aceptan salvo que se pida lo contrario
+                puntos_empatar: parseInt(puntosEmpatar) || 1,
+                bonoBlanqueada: parseInt(bonoBlanqueada) || 0,
+                bonoSerieAlta: parseInt(bonoSerieAlta) || 0,
+                serieAltaMinima: parseInt(serieAltaMinima) || 0,
+
+                // Orden de los criterios cuando hay empate en puntos
+                desempates: desempates || DESEMPATES_POR_DEFECTO,
                 
-                // Sistema de Puntos
-                puntos_ganar: parseInt(puntosGanar) || 3,  // Ej: 3 pts por ganar
-                puntos_perder: parseInt(puntosPerder) || 0, // Ej: 0 pts por perder
+                usaHandicap: usaHandicap || false,
+                ventajaPorRango: usaHandicap ? (parseInt(ventajaPorRango) || 2) : 0, // Guardamos la regla (2 carambolas)
                 
-                // Clasificación
-                top_clasificados: parseInt(clasificados) || 8 // Ej: Pasan los mejores 8
+                minimoPartidasPorcentaje: tipo === 'liga_sorteo' ? parseFloat(porcentajeMinimo) : null,
+                maxPartidasPagadas: parseInt(maxPagos) || 0,
+                precioPorPartida: parseFloat(precioPartida) || 0,
+                bloquearMorosos: bloquearMorosos === true || bloquearMorosos === 'true',
+
+                // ¿Los jugadores confirman los resultados antes de que cuenten?
+                confirmacion: {
+                    modo: confirmacion || 'ninguna',
+                    horas: parseInt(horasConfirmacion) || HORAS_CONFIRMACION
+                }
             },
             
             fechas: {
-                inicio: inicio,
+                inicio: fechaInicio ? new Date(fechaInicio) : new Date(),
                 fin: fechaFin ? new Date(fechaFin) : null
             },
-
             organizador_id: new ObjectId(req.usuario.id),
             organizador_nombre: req.usuario.nombre,
             estado: 'abierto',
@@ -327,19 +501,182 @@ app.post('/api/torneos/crear', verificarToken, async (req, res) => {
         };
 
         const resultado = await torneosCollection.insertOne(nuevoTorneo);
-        
+
         console.log('✅ Torneo configurado y creado. ID:', resultado.insertedId);
-        res.json({ message: 'Torneo creado exitosamente', torneoId: resultado.insertedId });
+        res.json({ message: 'Torneo creado.', torneoId: resultado.insertedId });
 
     } catch (error) {
         console.error('🔥 Error al crear torneo:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
+        res.status(500).json({ error: 'Error interno.' });
     }
 });
 
 
 // --- C. REGISTRO DE PARTIDAS Y TABLA ---
 
+/**
+ * Guarda el resultado de un partido de torneo (liga o llave) y actualiza la tabla.
+ * Lo usan registrar-manual y el marcador en vivo, dentro de operacionAtomica.
+ * Devuelve { error, status } si el resultado no procede; si procede, trae "despues"
+ * con los ratings y avisos que se corren ya confirmada la transacción.
+ */
+async function guardarResultadoTorneo(torneo, datos, sesion) {
+    const { jugador1Id, jugador2Id, partidoId, registradoPor = null, excepcionLimite = null, extra = {} } = datos;
+
+    if (!admiteResultados(torneo)) {
+        return { error: `El torneo está ${estadoTorneo(torneo)}: ya no acepta resultados.`, status: 400 };
+    }
+    const p1 = parseInt(datos.puntaje1) || 0;
+    const p2 = parseInt(datos.puntaje2) || 0;
+
+    // El módulo de puntuación decide el ganador (marcador o metas de handicap)
+    const { ganadorId, meta1, meta2, error } = decidirResultado(torneo, jugador1Id, jugador2Id, p1, p2);
+    if (error) return { error, status: 400 };
+
+    // ¿Este partido ya existía? (Programado en el calendario / sorteo, o abierto en vivo)
+    let previo = null;
+    if (partidoId) {
+        previo = await historialCollection.findOne({
+            _id: new ObjectId(partidoId),
+            torneo_id: torneo._id,
+            estado: { $in: ['programado', 'en_juego'] }
+        }, { session: sesion });
+        if (!previo) return { error: 'Ese partido no está pendiente en el calendario.', status: 404 };
+    } else if (!torneo.faseFinal) {
+        previo = await historialCollection.findOne({
+            torneo_id: torneo._id,
+            estado: 'programado',
+            $or: [
+                { jugador1: jugador1Id, jugador2: jugador2Id },
+                { jugador1: jugador2Id, jugador2: jugador1Id }
+            ]
+        }, { sort: { ronda: 1, juego: 1 }, session: sesion });
+    }
+
+    const enPrevio = (id) => previo && [previo.jugador1, previo.jugador2].includes(id);
+    if (previo && !(enPrevio(jugador1Id) && enPrevio(jugador2Id))) {
+        return { error: 'Los jugadores no coinciden con el partido programado.', status: 400 };
+    }
+
+    // Límite de enfrentamientos de la liga (un partido abierto en vivo ya traía su excepción)
+    let excepcion = null;
+    if (!torneo.faseFinal) {
+        const limite = await revisarLimiteEnfrentamientos(torneo, jugador1Id, jugador2Id, {
+            excluirId: previo ? previo._id : null,
+            excepcion: excepcionLimite || (previo && previo.excepcionLimite) || null,
+            sesion
+        });
+        if (limite.error) return limite;
+        excepcion = limite.excepcion || null;
+    }
+
+    const partida = {
+        torneo_id: torneo._id,
+        jugador1: jugador1Id, 
+        jugador2: jugador2Id,
+        puntaje1: p1,
+        puntaje2: p2,
+        serie1: parseInt(datos.serie1) || null,
+        serie2: parseInt(datos.serie2) || null,
+        meta1,
+        meta2,
+        ganadorId: ganadorId,
+        fecha: new Date(),
+        tipo: 'manual',
+        estado: 'jugado',
+        registradoPor,
+        ...extra
+    };
+    if (excepcion) partida.excepcionLimite = excepcion;
+
+    // FASE FINAL: Si la liga ya cerró, el partido pertenece a la llave
+    let partidoLlave = null;
+    if (torneo.faseFinal) {
+        partidoLlave = buscarPartidoLlave(torneo.faseFinal.partidos, jugador1Id, jugador2Id);
+        if (!partidoLlave) {
+            return { error: 'La fase de liga está cerrada y este enfrentamiento no está pendiente en la llave.', status: 400 };
+        }
+        if (!ganadorId) {
+            return { error: 'En eliminación directa no hay empates.', status: 400 };
+        }
+        partida.fase = 'final';
+        partida.llave_partido = partidoLlave.id;
+    } else {
+        // Puntos de liga según las reglas del torneo (se guardan para poder revertirlos)
+        puntuarPartida(reglasPuntuacion(torneo.reglas), partida);
+
+        // Con confirmación activa el resultado espera a los jugadores antes de contar
+        if (modoConfirmacion(torneo) !== 'ninguna') {
+            const autor = registradoPor ? await inscritoDelUsuario(torneo, registradoPor.id) : null;
+            partida.estado = 'pendiente';
+            partida.confirmacion = nuevaConfirmacion(torneo, partida, autor && autor.id);
+        }
+    }
+
+    if (previo) {
+        await historialCollection.updateOne({ _id: previo._id }, { $set: partida }, { session: sesion });
+        partida._id = previo._id;
+    } else {
+        // ✅ CORRECCIÓN: Usamos historialCollection (que es la variable correcta)
+        await historialCollection.insertOne(partida, { session: sesion });
+    }
+    // La excepción de un partido en vivo ya quedó en la bitácora al abrirlo
+    if (excepcion && !(previo && previo.excepcionLimite)) await registrarExcepcionLimite(torneo, partida, sesion);
+
+    // Un pendiente entra a la bitácora cuando se confirma
+    if (partida.estado === 'jugado') await registrarEvento('registrada', { partida, por: registradoPor }, sesion);
+
+    // Queda en la pila de quien lo capturó (la llave avanza sola, así que no se deshace)
+    if (registradoPor) {
+        await apilarOperacion(torneo, registradoPor, 'resultado',
+            `Resultado ${nombreInscrito(torneo, jugador1Id)} ${p1}-${p2} ${nombreInscrito(torneo, jugador2Id)}`,
+            {
+                partidoId: partida._id,
+                antes: previo,
+                despues: partida,
+                bloqueo: partidoLlave ? 'Los partidos de la llave no se deshacen: corrige el resultado con el organizador.' : null
+            },
+            sesion);
+    }
+
+    if (partidoLlave) {
+        const faseFinal = avanzarEnLlave(torneo.faseFinal, partidoLlave.id, ganadorId);
+        await torneosCollection.updateOne(
+            { _id: torneo._id },
+            { $set: { faseFinal: faseFinal } },
+            { session: sesion }
+        );
+        return {
+            mensaje: 'Partido de la llave registrado.', partida, campeonId: faseFinal.campeonId,
+            despues: async () => {
+                await actualizarRatings(partida, torneo);
+                await notificarTorneo(torneo._id, 'partido', { partida, campeonId: faseFinal.campeonId });
+            }
+        };
+    }
+
+    if (partida.estado === 'pendiente') {
+        return {
+            mensaje: 'Resultado guardado: espera la confirmación de los jugadores.', partida, pendiente: true,
+            despues: async () => {
+                await notificarTorneo(torneo._id, 'pendiente', { partida });
+                await notificarJugadores(torneo, partida.confirmacion.requeridas, 'confirmar_resultado',
+                    `Confirma tu partido en ${torneo.nombre}: ${partida.puntaje1}-${partida.puntaje2}.`,
+                    { partidoId: partida._id, vence: partida.confirmacion.vence });
+            }
+        };
+    }
+
+    await aplicarEstadisticasTorneo(torneo._id, partida, 1, sesion);
+    return {
+        mensaje: 'Partido registrado y tabla actualizada.', partida,
+        despues: async () => {
+            await actualizarRatings(partida, torneo);
+            await notificarTorneo(torneo._id, 'partido', { partida });
+        }
+    };
+}
+
 // ==========================================
 // RUTA ACTUALIZADA: REGISTRAR PARTIDO Y SUMAR PUNTOS
 // (Sustituye a tu antigua ruta /api/partidas/registrar)
@@ -347,7 +684,7 @@ app.post('/api/torneos/crear', verificarToken, async (req, res) => {
 // index.js - REGISTRO DE PARTIDAS CORREGIDO
 app.post('/api/partidos/registrar-manual', verificarToken, async (req, res) => {
     try {
-        const { torneoId, jugador1Id, jugador2Id, puntaje1, puntaje2 } = req.body;
+        const { torneoId, jugador1Id, jugador2Id, puntaje1, puntaje2, serie1, serie2, partidoId } = req.body;
 
         // 1. VALIDACIÓN ANTISUICIDIO: No jugar contra sí mismo
         if (jugador1Id === jugador2Id) {
@@ -358,58 +695,47 @@ app.post('/api/partidos/registrar-manual', verificarToken, async (req, res) => {
             return res.status(400).json({ error: 'Faltan datos de los jugadores o torneo.' });
         }
 
-        const p1 = parseInt(puntaje1) || 0;
-        const p2 = parseInt(puntaje2) || 0;
-        
-        let ganadorId = null;
-        if (p1 > p2) ganadorId = jugador1Id;
-        if (p2 > p1) ganadorId = jugador2Id;
-
-        const nuevaPartida = {
-            torneo_id: new ObjectId(torneoId),
-            jugador1: jugador1Id, 
-            jugador2: jugador2Id,
-            puntaje1: p1,
-            puntaje2: p2,
-            ganadorId: ganadorId,
-            fecha: new Date(),
-            tipo: 'manual'
-        };
-
-        // ✅ CORRECCIÓN: Usamos historialCollection (que es la variable correcta)
-        await historialCollection.insertOne(nuevaPartida);
-
-        // Definimos la función interna para actualizar estadísticas
-        const actualizarJugador = async (idJugador, puntosGanados, carambolasHechas, esGanador) => {
-            await torneosCollection.updateOne(
-                { _id: new ObjectId(torneoId), "jugadores_inscritos.id": idJugador },
-                { 
-                    $inc: { 
-                        "jugadores_inscritos.$.partidosJugados": 1,
-                        "jugadores_inscritos.$.puntos": puntosGanados,
-                        "jugadores_inscritos.$.carambolas": carambolasHechas,
-                        "jugadores_inscritos.$.victorias": (esGanador ? 1 : 0),
-                        "jugadores_inscritos.$.derrotas": (!esGanador ? 1 : 0)
-                    }
-                }
-            );
-        };
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) });
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
 
-        // REGLAS DE PUNTOS: (3 al ganador, 1 por perder)
-        const puntosGanador = 3;
-        const puntosPerdedor = 1; 
+        // El staff captura cualquier partido; si el torneo pide confirmación,
+        // cada jugador puede subir el suyo (queda pendiente hasta que el rival confirme)
+        if (!tienePermiso(req.usuario, torneo, 'resultados')) {
+            const yo = modoConfirmacion(torneo) !== 'ninguna' ? await inscritoDelUsuario(torneo, req.usuario.id) : null;
+            if (!yo || ![jugador1Id, jugador2Id].includes(yo.id)) {
+                return res.status(403).json({ error: 'No tienes permiso sobre este torneo.' });
+            }
+        }
 
-        if (ganadorId) {
-            // Hubo un ganador definido
-            await actualizarJugador(jugador1Id, (jugador1Id === ganadorId ? puntosGanador : puntosPerdedor), p1, (jugador1Id === ganadorId));
-            await actualizarJugador(jugador2Id, (jugador2Id === ganadorId ? puntosGanador : puntosPerdedor), p2, (jugador2Id === ganadorId));
-        } else {
-            // Fue Empate (1 punto a cada uno)
-            await actualizarJugador(jugador1Id, 1, p1, false);
-            await actualizarJugador(jugador2Id, 1, p2, false);
+        // Si el organizador lo pidió, quien debe dinero no juega
+        const morosos = await morososDelPartido(torneo, [jugador1Id, jugador2Id]);
+        if (morosos.length > 0) {
+            return res.status(403).json({ error: 'Hay jugadores con saldo pendiente.', morosos });
         }
 
-        res.json({ message: 'Partido registrado y tabla actualizada.', partida: nuevaPartida });
+        // ¿El organizador autoriza pasarse del límite de enfrentamientos?
+        const { excepcion, error, status } = excepcionDeLimite(req, torneo);
+        if (error) return res.status(status).json({ error });
+
+        // 2. Guardamos (liga, calendario o llave) y actualizamos la tabla en una sola transacción.
+        // El torneo se relee dentro para que la llave avance sobre lo último guardado.
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            const actual = await torneosCollection.findOne({ _id: torneo._id }, { session: sesion });
+            const resultado = await guardarResultadoTorneo(actual, {
+                jugador1Id, jugador2Id, puntaje1, puntaje2, serie1, serie2, partidoId,
+                registradoPor: firmaUsuario(req.usuario, actual),
+                excepcionLimite: excepcion
+            }, sesion);
+            if (resultado.error) {
+                return { status: resultado.status, cuerpo: { error: resultado.error, enfrentamientos: resultado.enfrentamientos } };
+            }
+            return {
+                cuerpo: { message: resultado.mensaje, partida: resultado.partida, campeonId: resultado.campeonId },
+                despues: resultado.despues
+            };
+        });
+
+        responderOperacion(res, respuesta);
 
     } catch (error) {
         console.error('🔥 ERROR CRÍTICO:', error);
@@ -417,7 +743,6 @@ app.post('/api/partidos/registrar-manual', verificarToken, async (req, res) => {
     }
 });
 
-
 // ==========================================
 // RUTA FALTANTE: OBTENER PARTIDOS DE UN TORNEO 📋
 // ==========================================
@@ -429,27 +754,21 @@ app.get('/api/torneos/tabla/:id', verificarToken, async (req, res) => {
         const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) });
         if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado' });
 
-        const { limite_partidas, top_clasificados, reemplazos } = torneo.reglas;
-        const limite = limite_partidas || 32;
-        const corte = top_clasificados || 8;
-        const rep = reemplazos || 2;
-
-        let participantes = await participacionesCollection.find({ torneo_id: new ObjectId(torneoId) }).toArray();
+        // ?fecha=AAAA-MM-DD: la tabla como estaba ese día
+        const { hasta, error } = fechaDeCorte(req.query.fecha);
+        if (error) return res.status(400).json({ error });
 
-        // Función de ordenamiento
-        const ordenarPorPuntos = (a, b) => {
-            const statsA = a.stats || {};
-            const statsB = b.stats || {};
-            if (statsB.puntos !== statsA.puntos) return (statsB.puntos || 0) - (statsA.puntos || 0);
-            return (statsB.ganadas || 0) - (statsA.ganadas || 0);
-        };
+        // La tabla sale de la bitácora de partidas del torneo (con las reglas vigentes en esa fecha)
+        const enFecha = hasta ? await torneoEnFecha(torneo, hasta) : torneo;
+        const limite = partidasMinimas(enFecha);
+        const corte = enFecha.reglas?.top_clasificados || 8;
+        const rep = reemplazosDe(enFecha);
 
-        // Clasificación por capas
-        let elegibles = participantes.filter(p => (p.stats?.partidasJugadas || 0) >= limite);
-        let resto = participantes.filter(p => (p.stats?.partidasJugadas || 0) < limite);
+        const ordenados = await tablaTorneo(torneo, hasta);
 
-        elegibles.sort(ordenarPorPuntos);
-        resto.sort(ordenarPorPuntos);
+        // Clasificación por capas (separar conserva el orden de la tabla)
+        let elegibles = ordenados.filter(j => j.partidosJugados >= limite);
+        let resto = ordenados.filter(j => j.partidosJugados < limite);
 
         const grupoClasificados = elegibles.slice(0, corte);
         const grupoReemplazos = elegibles.slice(corte, corte + rep);
@@ -458,26 +777,37 @@ app.get('/api/torneos/tabla/:id', verificarToken, async (req, res) => {
         const rankingFinal = [...grupoClasificados, ...grupoReemplazos, ...grupoSobrantes, ...resto];
 
         // Mapeamos para enviar JSON limpio
-        const respuesta = rankingFinal.map((p, index) => ({
+        const respuesta = rankingFinal.map((j, index) => ({
             posicion: index + 1,
-            nombre: p.nombre_display,
-            puntos: p.stats.puntos,
-            jugadas: p.stats.partidasJugadas,
-            ganadas: p.stats.ganadas,
-            promedio: p.stats.partidasJugadas > 0 
-                ? (p.stats.totalCarambolas / p.stats.partidasJugadas).toFixed(2) 
+            id: j.id,
+            nombre: j.nombre,
+            puntos: j.puntos,
+            jugadas: j.partidosJugados,
+            ganadas: j.victorias,
+            perdidas: j.derrotas,
+            empatadas: j.empates,
+            carambolas: j.carambolas,
+            carambolasEnContra: j.carambolasEnContra,
+            serieMayor: j.serieMayor,
+            promedio: j.partidosJugados > 0
+                ? (j.carambolas / j.partidosJugados).toFixed(2)
                 : "0.00",
-            esClasificado: index < corte,
-            esReemplazo: index >= corte && index < (corte + rep)
+            promedioGeneral: promedioGeneral(j.carambolas, j.entradas),
+            elegible: j.partidosJugados >= limite,
+            esClasificado: index < corte && j.partidosJugados >= limite,
+            esReemplazo: index >= corte && index < (corte + rep) && j.partidosJugados >= limite,
+            decididoPor: j.decididoPor
         }));
 
         res.json({
             torneo: torneo.nombre,
-            reglas: { limite, corte, corteReemplazos: corte + rep },
+            fecha: hasta,
+            reglas: { limite, corte, reemplazos: rep, corteReemplazos: corte + rep, desempates: desempatesDe(enFecha) },
             ranking: respuesta
         });
 
     } catch (e) {
+        console.error('🔥 Error al obtener tabla:', e);
         res.status(500).json({ error: 'Error al obtener tabla.' });
     }
 });
@@ -487,11 +817,13 @@ app.get('/api/torneos/tabla/:id', verificarToken, async (req, res) => {
 
 app.get('/api/tabla-general', async (req, res) => {
     try {
-        // Obtenemos los datos de la colección "vieja" (Web)
-        const jugadores = await tablaCollection.find().toArray();
-        
-        // Ordenamos por puntos (Mayor a menor)
-        jugadores.sort((a, b) => (b.puntos || 0) - (a.puntos || 0));
+        // ?fecha=AAAA-MM-DD: la tabla como estaba ese día
+        const { hasta, error } = fechaDeCorte(req.query.fecha);
+        if (error) return res.status(400).json({ error });
+
+        // Obtenemos los datos de la colección "vieja" (Web), sin teléfonos,
+        // ordenados por puntos y desempates (cada fila dice qué desempate la decidió)
+        const jugadores = await rankingTablaGeneral(hasta);
 
         res.json(jugadores);
     } catch (error) {
@@ -500,80 +832,58 @@ app.get('/api/tabla-general', async (req, res) => {
 });
 
 
-// ==========================================
-// RUTA: CREAR TORNEO (ACTUALIZADA CON HANDICAP)
-// ==========================================
-app.post('/api/torneos/crear', verificarToken, async (req, res) => {
-    try {
-        const { 
-            nombre, sede, precio, tipo, 
-            juegos, carambolas, puntosGanar, puntosPerder,
-            mesasDisponibles, formatoFinal, clasificados, porcentajeMinimo,
-            usaHandicap, 
-            ventajaPorRango, // <--- NUEVO CAMPO (Ej: 2)
-            maxPagos
-        } = req.body;
-
-        if (!nombre || !sede || !tipo) return res.status(400).json({ error: 'Datos incompletos.' });
-
-        const nuevoTorneo = {
-            nombre, lugar: sede, precio: parseFloat(precio) || 0, tipo, esAmistoso: parseFloat(precio) === 0,
-            
-            configuracion: {
-                mesas: parseInt(mesasDisponibles) || 0,
-                formatoFinal: formatoFinal || 'snake',
-            },
-
-            reglas: {
-                juegosPorEnfrentamiento: parseInt(juegos) || 1,
-                carambolasMeta: parseInt(carambolas) || 30,
-                puntos_ganar: parseInt(puntosGanar) || 3,
-                puntos_perder: parseInt(puntosPerder) || 0,
-                top_clasificados: parseInt(clasificados) || 8,
-                
-                usaHandicap: usaHandicap || false,
-                ventajaPorRango: usaHandicap ? (parseInt(ventajaPorRango) || 2) : 0, // Guardamos la regla (2 carambolas)
-                
-                minimoPartidasPorcentaje: tipo === 'liga_sorteo' ? parseFloat(porcentajeMinimo) : null,
-                maxPartidasPagadas: parseInt(maxPagos) || 0 
-            },
-            
-            fechas: { inicio: new Date(), fin: null },
-            organizador_id: new ObjectId(req.usuario.id),
-            estado: 'abierto',
-            jugadores_inscritos: [],
-            creadoEn: new Date()
-        };
-
-        const resultado = await torneosCollection.insertOne(nuevoTorneo);
-        res.json({ message: 'Torneo creado.', torneoId: resultado.insertedId });
-
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: 'Error interno.' });
-    }
-});
-
 // ==========================================
 // NUEVA RUTA: EL "BOTÓN DE PÁNICO" (EDITAR REGLAS EN VIVO) 🛠️
 // ==========================================
-app.post('/api/torneos/editar-reglas', verificarToken, async (req, res) => {
+app.post('/api/torneos/editar-reglas', verificarToken, requierePermiso('reglas'), async (req, res) => {
     try {
-        if (req.usuario.rol !== 'organizador') return res.status(403).json({ error: 'No autorizado' });
+        const { torneoId, nuevoPorcentaje, nuevosClasificados, nuevosReemplazos, nuevoMinimoPartidas, nuevoLimiteEnfrentamientos, nuevosDesempates, confirmacion, horasConfirmacion, motivo } = req.body;
 
-        const { torneoId, nuevoPorcentaje, nuevosClasificados } = req.body;
+        const torneo = req.torneo;
 
         // Solo permitimos editar cosas críticas para salvar el torneo
         const updateData = {};
         if (nuevoPorcentaje) updateData['reglas.minimoPartidasPorcentaje'] = parseFloat(nuevoPorcentaje);
         if (nuevosClasificados) updateData['reglas.top_clasificados'] = parseInt(nuevosClasificados);
+        if (nuevosReemplazos !== undefined) updateData['reglas.reemplazos'] = parseInt(nuevosReemplazos) || 0;
+        if (nuevoMinimoPartidas !== undefined) updateData['reglas.limite_partidas'] = parseInt(nuevoMinimoPartidas) || 0;
+        if (nuevoLimiteEnfrentamientos) updateData['reglas.limiteEnfrentamientos'] = parseInt(nuevoLimiteEnfrentamientos);
+        if (nuevosDesempates) {
+            if (errorDesempates(nuevosDesempates)) return res.status(400).json({ error: errorDesempates(nuevosDesempates) });
+            updateData['reglas.desempates'] = nuevosDesempates;
+        }
+        if (confirmacion) {
+            if (!MODOS_CONFIRMACION.includes(confirmacion)) {
+                return res.status(400).json({ error: `Confirmación inválida. Usa: ${MODOS_CONFIRMACION.join(', ')}.` });
+            }
+            updateData['reglas.confirmacion.modo'] = confirmacion;
+        }
+        if (horasConfirmacion) updateData['reglas.confirmacion.horas'] = parseInt(horasConfirmacion);
+
+        // Desde la fase final las reglas quedan congeladas; sólo se cambian forzando y con motivo
+        const { auditoria, error, status } = revisarCambioReglas(req, torneo, updateData);
+        if (error) return res.status(status).json({ error });
+        const operacion = { $set: updateData };
+        if (auditoria) operacion.$push = { auditoriaReglas: auditoria };
+
+        // Reglas, bitácora y pila de deshacer en una sola transacción
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            await torneosCollection.updateOne({ _id: torneo._id }, operacion, { session: sesion });
+            if (Object.keys(updateData).length > 0) {
+                await registrarCambioReglas(torneo, req.usuario, updateData, { motivo: motivo || null }, sesion);
+
+                // Lo anterior de cada campo, para poder deshacer el cambio
+                const anteriores = {};
+                Object.keys(updateData).forEach(ruta => { anteriores[ruta] = valorEnRuta(torneo, ruta) ?? null; });
+                await apilarOperacion(torneo, req.usuario, 'reglas', `Cambio de reglas (${Object.keys(updateData).join(', ')})`, { cambios: updateData, anteriores }, sesion);
+            }
+            return {
+                cuerpo: { message: 'Reglas actualizadas correctamente.' },
+                despues: () => notificarTorneo(torneoId, 'reglas', { cambios: updateData })
+            };
+        });
 
-        await torneosCollection.updateOne(
-            { _id: new ObjectId(torneoId) },
-            { $set: updateData }
-        );
-
-        res.json({ message: 'Reglas actualizadas correctamente.' });
+        responderOperacion(res, respuesta);
     } catch (error) {
         res.status(500).json({ error: 'Error al actualizar reglas' });
     }
@@ -591,6 +901,7 @@ app.get('/', isAuthenticated, async (req, res) => {
     const content = `
         <h1>Registrar Partida 🎱</h1>
         <form action="/registrar-partida" method="POST">
+            <input type="hidden" name="claveIdempotencia" value="${randomUUID()}">
             <h3>🏆 El Ganador</h3>
             <select name="ganador" class="buscador-select" data-placeholder="Selecciona al Ganador" required>
                 <option></option>
@@ -619,6 +930,7 @@ app.get('/', isAuthenticated, async (req, res) => {
         </div>
         
         <form action="/deshacer" method="POST">
+            <input type="hidden" name="claveIdempotencia" value="${randomUUID()}">
             <br>
             <button type="submit" style="background-color: red; color: white;">Deshacer Última Partida ⏪</button>
         </form>
@@ -628,19 +940,12 @@ app.get('/', isAuthenticated, async (req, res) => {
 
 // Ruta: Tabla de Posiciones
 app.get('/tabla', async (req, res) => {
-    let todos = await tablaCollection.find().toArray();
-
-    const ordenarPorPuntos = (a, b) => {
-        if (b.puntos !== a.puntos) return b.puntos - a.puntos;
-        return (b.ganadas || 0) - (a.ganadas || 0);
-    };
+    // Ya viene ordenada (puntos y desempates); separar conserva el orden
+    let todos = await rankingTablaGeneral();
 
     let elegibles = todos.filter(j => (j.partidasJugadas || 0) >= 32);
     let resto = todos.filter(j => (j.partidasJugadas || 0) < 32);
 
-    elegibles.sort(ordenarPorPuntos);
-    resto.sort(ordenarPorPuntos);
-
     let top8 = elegibles.slice(0, 8);
     let reemplazos = elegibles.slice(8, 10);
     let sobranElegibles = elegibles.slice(10);
@@ -663,6 +968,7 @@ app.get('/tabla', async (req, res) => {
                 <td>${jugador.puntos}</td>
                 <td>${jugador.partidasJugadas || 0}</td>
                 <td>${promedio}</td>
+                <td>${jugador.decididoPor ? DESEMPATES[jugador.decididoPor] : ''}</td>
             </tr>
         `;
     }).join('');
@@ -677,6 +983,7 @@ app.get('/tabla', async (req, res) => {
                     <th>Pts</th>
                     <th>Jugadas</th>
                     <th>Promedio</th>
+                    <th>Desempate</th>
                 </tr>
             </thead>
             <tbody>
@@ -689,6 +996,7 @@ app.get('/tabla', async (req, res) => {
             <ul style="margin-top: 5px; padding-left: 20px;">
                 <li>🔴 <strong>Línea Roja (1-8):</strong> Clasificados Finales.</li>
                 <li>🟢 <strong>Línea Verde (9-10):</strong> Reemplazos.</li>
+                <li>⚖️ <strong>Empates:</strong> ${DESEMPATES_POR_DEFECTO.map(d => DESEMPATES[d]).join(' > ')}.</li>
             </ul>
         </div>
         <br>
@@ -766,6 +1074,7 @@ app.get('/resultados', async (req, res) => {
 
     // Buscar partidas
     const misPartidas = await historialCollection.find({
+        estado: { $ne: 'anulado' },
         $or: [
             { ganador: nombreEncontrado }, 
             { perdedor: nombreEncontrado }
@@ -830,6 +1139,7 @@ app.get('/resultados-editar', isAuthenticated, async (req, res) => {
     
     // Buscar partidas donde aparezca como ganador O perdedor
     const partidas = await historialCollection.find({
+        estado: { $ne: 'anulado' },
         $or: [
             { ganador: jugadorId },
             { perdedor: jugadorId }
@@ -862,6 +1172,7 @@ app.get('/resultados-editar', isAuthenticated, async (req, res) => {
         <h2 style="color: #d9534f;">Editando a: ${jugadorId}</h2>
         <form action="/eliminar-multiples" method="POST" onsubmit="return confirm('⚠️ ¿Estás seguro de que deseas borrar las partidas seleccionadas?');">
             <input type="hidden" name="jugadorOriginal" value="${jugadorId}">
+            <input type="hidden" name="claveIdempotencia" value="${randomUUID()}">
             ${listaHTML}
             <br>
             <button type="submit" class="button" style="background-color: #dc3545;">🗑️ Borrar Seleccionados</button>
@@ -872,6 +1183,20 @@ app.get('/resultados-editar', isAuthenticated, async (req, res) => {
     `));
 });
 
+/**
+ * Anula una partida de la Web Clásica: se queda en el historial marcada, ya sin contar,
+ * y la bitácora registra la anulación. Las stats de la tabla las resta quien llama.
+ */
+async function anularPartidaWeb(partida, motivo, sesion) {
+    const fecha = new Date();
+    await historialCollection.updateOne(
+        { _id: partida._id },
+        { $set: { estado: 'anulado' }, $push: { historialEdiciones: { accion: 'anulada', motivo, fecha } } },
+        { session: sesion }
+    );
+    await registrarEvento('anulada', { partida, motivo, fecha }, sesion);
+}
+
 // Ruta: Eliminar Múltiples
 app.post('/eliminar-multiples', isAuthenticated, async (req, res) => {
     let idsPartidas = req.body.idsPartidas;
@@ -886,31 +1211,45 @@ app.post('/eliminar-multiples', isAuthenticated, async (req, res) => {
     }
 
     try {
-        for (let i = 0; i < idsPartidas.length; i++) {
-            const id = idsPartidas[i];
-            const partida = await historialCollection.findOne({ _id: new ObjectId(id) });
-
-            if (partida) {
-                const { ganador, perdedor, marcadorGanador, marcadorPerdedor } = partida;
-
-                // Restar al Ganador
-                await tablaCollection.updateOne({ _id: ganador }, { 
-                    $inc: { puntos: -3, ganadas: -1, partidasJugadas: -1, totalCarambolas: -marcadorGanador } 
-                });
-
-                // Restar al Perdedor
-                await tablaCollection.updateOne({ _id: perdedor }, { 
-                    $inc: { puntos: -1, partidasJugadas: -1, totalCarambolas: -marcadorPerdedor } 
-                });
-
-                // Eliminar registro
-                await historialCollection.deleteOne({ _id: new ObjectId(id) });
+        // Todo el lote en una transacción: o se anulan todas, o ninguna
+        const { cuerpo } = await operacionAtomica(req, 'web', async (sesion) => {
+            const eliminadas = [];
+            for (let i = 0; i < idsPartidas.length; i++) {
+                const id = idsPartidas[i];
+                const partida = await historialCollection.findOne({ _id: new ObjectId(id), estado: { $ne: 'anulado' } }, { session: sesion });
+
+                if (partida) {
+                    const { ganador, perdedor, marcadorGanador, marcadorPerdedor } = partida;
+                    const { puntosGanador, puntosPerdedor } = puntosPartidaClasica(partida);
+
+                    // Restar al Ganador
+                    await tablaCollection.updateOne({ _id: ganador }, { 
+                        $inc: { puntos: -puntosGanador, ganadas: -1, partidasJugadas: -1, totalCarambolas: -(parseInt(marcadorGanador) || 0) } 
+                    }, { session: sesion });
+
+                    // Restar al Perdedor
+                    await tablaCollection.updateOne({ _id: perdedor }, { 
+                        $inc: { puntos: -puntosPerdedor, partidasJugadas: -1, totalCarambolas: -(parseInt(marcadorPerdedor) || 0) } 
+                    }, { session: sesion });
+
+                    // Se anula (queda en el historial, ya sin contar)
+                    await anularPartidaWeb(partida, 'Eliminada desde la web', sesion);
+                    eliminadas.push(partida._id);
+                }
             }
-        }
+
+            return {
+                cuerpo: { eliminadas: eliminadas.length },
+                // Lo que movieron en el rating se quita ya confirmado el borrado
+                despues: async () => {
+                    for (const id of eliminadas) await revertirRatings(id);
+                }
+            };
+        });
 
         const successContent = `
             <h2 style="color: #dc3545;">🗑️ Partidas eliminadas</h2>
-            <p>Se han borrado ${idsPartidas.length} registros y actualizado los puntos.</p>
+            <p>Se anularon ${cuerpo.eliminadas} registros (quedan en el historial) y se actualizaron los puntos.</p>
             <br>
             <a href="/resultados-editar?jugador=${jugadorOriginal}" class="button">Seguir editando a ${jugadorOriginal}</a>
         `;
@@ -945,12 +1284,15 @@ app.post('/agregar-jugador', isAuthenticated, async (req, res) => {
         return res.send(wrapHTML(`<h2>Error: El número de teléfono debe tener 10 dígitos.</h2><a href="/agregar-jugador" class="button">Volver</a>`));
     }
 
+    const jugador = await jugadorCanonico({ telefono, nombre });
+
     await tablaCollection.insertOne({
         _id: nombre, 
         nombre: nombre,
         puntos: 0,
         ganadas: 0,
-        telefono: telefono
+        telefono: telefono,
+        jugador_id: jugador._id
     });
 
     res.send(wrapHTML(`<h2>Jugador Registrado: ${nombre}</h2><a href="/" class="button">Volver</a>`));
@@ -967,80 +1309,130 @@ app.post('/registrar-partida', isAuthenticated, async (req, res) => {
     if (ganador === perdedor) {
         return res.send(wrapHTML(`<h2>⚠️ Error: No puedes jugar contra ti mismo.</h2><a href="/" class="button">Volver</a>`));
     }
-    
-    // Verificar límite de 2 juegos
-    const enfrentamientos = await historialCollection.countDocuments({
-        $or: [
-            { ganador: ganador, perdedor: perdedor },
-            { ganador: perdedor, perdedor: ganador }
-        ]
-    });
-
-    if (enfrentamientos >= 2) {
-        return res.send(wrapHTML(`
-            <h2>⚠️ Límite Alcanzado</h2>
-            <p>Estos jugadores ya se han enfrentado 2 veces.</p>
-            <a href="/" class="button">Volver</a>
-        `));
-    }
 
-    // Actualizar Ganador
-    await tablaCollection.updateOne(
-        { _id: ganador },
-        { 
-            $inc: { puntos: 3, ganadas: 1, totalCarambolas: parseInt(mar1), partidasJugadas: 1 },
-            $set: { nombre: ganador }
-        },
-        { upsert: true }
-    );
+    try {
+        // Límite, tabla e historial en una sola transacción (un doble clic no duplica la partida)
+        const { status, cuerpo } = await operacionAtomica(req, 'web', async (sesion) => {
+            // Verificar límite de juegos entre la misma pareja
+            const limite = REGLAS_LIGA_CLASICA.limiteEnfrentamientos;
+            const enfrentamientos = await historialCollection.countDocuments({
+                estado: { $ne: 'anulado' },
+                $or: [
+                    { ganador: ganador, perdedor: perdedor },
+                    { ganador: perdedor, perdedor: ganador }
+                ]
+            }, { session: sesion });
+
+            if (enfrentamientos >= limite) {
+                return {
+                    status: 400,
+                    cuerpo: `
+                        <h2>⚠️ Límite Alcanzado</h2>
+                        <p>Estos jugadores ya se han enfrentado ${limite} veces.</p>
+                        <a href="/" class="button">Volver</a>
+                    `
+                };
+            }
 
-    // Actualizar Perdedor
-    await tablaCollection.updateOne(
-        { _id: perdedor },
-        { 
-            $inc: { puntos: 1, totalCarambolas: parseInt(mar2), partidasJugadas: 1 },
-            $set: { nombre: perdedor }
-        },
-        { upsert: true }
-    );
+            // Puntos según las reglas de la liga clásica
+            const { puntosGanador, puntosPerdedor } = puntosPartidaClasica({
+                ganador, perdedor, marcadorGanador: mar1, marcadorPerdedor: mar2
+            });
 
-    // Guardar Historial
-    await historialCollection.insertOne({
-        ganador: ganador,
-        marcadorGanador: mar1,
-        perdedor: perdedor,
-        marcadorPerdedor: mar2,
-        fecha: new Date()
-    });
+            // Actualizar Ganador
+            await tablaCollection.updateOne(
+                { _id: ganador },
+                { 
+                    $inc: { puntos: puntosGanador, ganadas: 1, totalCarambolas: parseInt(mar1), partidasJugadas: 1 },
+                    $set: { nombre: ganador }
+                },
+                { upsert: true, session: sesion }
+            );
 
-    res.send(wrapHTML(`
-        <h2>✅ Partida registrada: ${ganador} ganó a ${perdedor}.</h2>
-        <a href="/tabla" class="button">🏆 Ver tabla</a> | <a href="/" class="button">🏠 Inicio</a>
-    `));
+            // Actualizar Perdedor
+            await tablaCollection.updateOne(
+                { _id: perdedor },
+                { 
+                    $inc: { puntos: puntosPerdedor, totalCarambolas: parseInt(mar2), partidasJugadas: 1 },
+                    $set: { nombre: perdedor }
+                },
+                { upsert: true, session: sesion }
+            );
+
+            // Guardar Historial
+            const partidaWeb = {
+                ganador: ganador,
+                marcadorGanador: mar1,
+                perdedor: perdedor,
+                marcadorPerdedor: mar2,
+                puntosGanador,
+                puntosPerdedor,
+                fecha: new Date()
+            };
+            await historialCollection.insertOne(partidaWeb, { session: sesion });
+            await registrarEvento('registrada', { partida: partidaWeb }, sesion);
+
+            return {
+                cuerpo: `
+                    <h2>✅ Partida registrada: ${ganador} ganó a ${perdedor}.</h2>
+                    <a href="/tabla" class="button">🏆 Ver tabla</a> | <a href="/" class="button">🏠 Inicio</a>
+                `,
+                despues: async () => {
+                    await actualizarRatings(partidaWeb);
+                    await notificarTablaGeneral('partido', { ganador, perdedor, marcadorGanador: mar1, marcadorPerdedor: mar2 });
+                }
+            };
+        });
+
+        res.status(status).send(wrapHTML(cuerpo));
+
+    } catch (error) {
+        console.error(error);
+        res.send(wrapHTML('<h2>Error técnico al registrar la partida.</h2><a href="/" class="button">Volver</a>'));
+    }
 });
 
 // Ruta: Deshacer
 app.post('/deshacer', isAuthenticated, async (req, res) => {
-    // Buscar la última partida registrada
-    const ultimaPartida = await historialCollection.findOne({}, { sort: { fecha: -1 } });
+    try {
+        await operacionAtomica(req, 'web', async (sesion) => {
+            // Buscar la última partida registrada en la web (las de torneos se deshacen desde la App)
+            const ultimaPartida = await historialCollection.findOne(
+                { torneo_id: null, ganador: { $exists: true }, estado: { $ne: 'anulado' } },
+                { sort: { fecha: -1 }, session: sesion }
+            );
+            if (!ultimaPartida) return { cuerpo: null };
 
-    if (ultimaPartida) {
-        const { ganador, perdedor, marcadorGanador, marcadorPerdedor } = ultimaPartida;
+            const { ganador, perdedor, marcadorGanador, marcadorPerdedor } = ultimaPartida;
+            const { puntosGanador, puntosPerdedor } = puntosPartidaClasica(ultimaPartida);
 
-        // Restar stats al ganador
-        await tablaCollection.updateOne(
-            { _id: ganador },
-            { $inc: { puntos: -3, ganadas: -1, partidasJugadas: -1, totalCarambolas: -(marcadorGanador || 0) } }
-        );
+            // Restar stats al ganador
+            await tablaCollection.updateOne(
+                { _id: ganador },
+                { $inc: { puntos: -puntosGanador, ganadas: -1, partidasJugadas: -1, totalCarambolas: -(marcadorGanador || 0) } },
+                { session: sesion }
+            );
 
-        // Restar stats al perdedor
-        await tablaCollection.updateOne(
-            { _id: perdedor },
-            { $inc: { puntos: -1, partidasJugadas: -1, totalCarambolas: -(marcadorPerdedor || 0) } }
-        );
+            // Restar stats al perdedor
+            await tablaCollection.updateOne(
+                { _id: perdedor },
+                { $inc: { puntos: -puntosPerdedor, partidasJugadas: -1, totalCarambolas: -(marcadorPerdedor || 0) } },
+                { session: sesion }
+            );
+
+            // Se anula en el historial (lo que movió en el rating se quita ya confirmado)
+            await anularPartidaWeb(ultimaPartida, 'Deshacer', sesion);
 
-        // Eliminar del historial
-        await historialCollection.deleteOne({ _id: ultimaPartida._id });
+            return {
+                cuerpo: { partidaEliminada: ultimaPartida._id },
+                despues: async () => {
+                    await revertirRatings(ultimaPartida._id);
+                    await notificarTablaGeneral('deshacer', { partidaEliminada: ultimaPartida._id });
+                }
+            };
+        });
+    } catch (error) {
+        console.error(error);
     }
     
     res.redirect('/');
@@ -1050,6 +1442,21 @@ app.post('/deshacer', isAuthenticated, async (req, res) => {
 // 7. FUNCIONES AUXILIARES
 // ----------------------------------------------------------------------------
 
+// Estados de partida sin resultado válido: por jugar, sin confirmar o anuladas (no cuentan en la tabla)
+const ESTADOS_SIN_RESULTADO = ['programado', 'en_juego', 'pendiente', 'disputado', 'anulado'];
+
+/**
+ * Filtro de MongoDB para las partidas de liga YA JUGADAS de un torneo.
+ * Deja fuera el calendario pendiente y los partidos de la llave final.
+ */
+function filtroPartidasJugadas(torneoObjectId) {
+    return {
+        torneo_id: torneoObjectId,
+        estado: { $nin: ESTADOS_SIN_RESULTADO },
+        fase: { $ne: 'final' }
+    };
+}
+
 function wrapHTML(content) {
     return `
     <!DOCTYPE html>
@@ -1080,6 +1487,86 @@ function wrapHTML(content) {
     `;
 }
 
+// ==========================================
+// 🔒 ESCRITURAS ATÓMICAS: TRANSACCIONES E IDEMPOTENCIA
+// ==========================================
+// Registrar, deshacer o borrar un resultado toca historial y tabla a la vez:
+// todo va en una sola transacción para que un corte a medias no las desalinee.
+// El cliente puede mandar una clave (header "Idempotency-Key" o campo "claveIdempotencia");
+// si repite la petición con la misma clave recibe la primera respuesta y no se escribe nada más.
+
+const HORAS_IDEMPOTENCIA = 24;
+
+function claveIdempotencia(req) {
+    if (!req) return null; // Tareas internas (ej. confirmar vencidos): sin clave
+    const clave = req.get('Idempotency-Key') || req.body?.claveIdempotencia;
+    return clave ? String(clave).slice(0, 200) : null;
+}
+
+/**
+ * Corre tarea(sesion) dentro de una transacción. La tarea devuelve { status, cuerpo, despues }:
+ * "despues" corre ya confirmada la transacción (ratings, avisos y SSE), porque MongoDB
+ * puede repetir la tarea si la transacción choca con otra. Sin req (tareas internas) no hay clave.
+ * Devuelve { status, cuerpo, repetida }.
+ */
+async function operacionAtomica(req, autor, tarea) {
+    const clave = claveIdempotencia(req);
+    const filtroClave = { clave, autor: String(autor) };
+    let despues = null;
+
+    const sesion = client.startSession();
+    try {
+        const respuesta = await sesion.withTransaction(async () => {
+            despues = null;
+            if (clave) {
+                const previa = await idempotenciaCollection.findOne(filtroClave, { session: sesion });
+                if (previa) return { ...previa.respuesta, repetida: true };
+                await idempotenciaCollection.insertOne({ ...filtroClave, ruta: req.path, creadoEn: new Date() }, { session: sesion });
+            }
+
+            const resultado = await tarea(sesion);
+            const guardada = { status: resultado.status || 200, cuerpo: resultado.cuerpo };
+
+            // Un rechazo no deja nada escrito ni gasta la clave: se puede corregir y reintentar
+            if (guardada.status >= 400) {
+                await sesion.abortTransaction();
+                return guardada;
+            }
+
+            if (clave) await idempotenciaCollection.updateOne(filtroClave, { $set: { respuesta: guardada } }, { session: sesion });
+            despues = resultado.despues || null;
+            return guardada;
+        });
+
+        if (despues) {
+            try {
+                await despues();
+            } catch (error) {
+                console.error('⚠️ La operación se guardó, pero fallaron los avisos:', error);
+            }
+        }
+        return respuesta;
+    } catch (error) {
+        // Otra petición con la misma clave ganó la carrera: respondemos lo mismo que ella
+        if (error.code === 11000 && clave) {
+            const previa = await idempotenciaCollection.findOne(filtroClave);
+            if (previa?.respuesta) return { ...previa.respuesta, repetida: true };
+            return { status: 409, cuerpo: { error: 'Esta operación ya se está procesando.' } };
+        }
+        throw error;
+    } finally {
+        await sesion.endSession();
+    }
+}
+
+/**
+ * Responde en JSON lo que devolvió operacionAtomica (avisando si es una repetición).
+ */
+function responderOperacion(res, { status, cuerpo, repetida }) {
+    if (repetida) res.set('Idempotent-Replayed', 'true');
+    res.status(status).json(cuerpo);
+}
+
 
 // ==========================================
 // 6. GESTIÓN INTEGRAL: TORNEOS, PARTIDOS E INSCRIPCIONES
@@ -1089,13 +1576,18 @@ function wrapHTML(content) {
 app.get('/api/torneos/mis-torneos', verificarToken, async (req, res) => {
     try {
         let filtro = {};
+        const delegados = { delegados: { $elemMatch: { usuario_id: new ObjectId(req.usuario.id), estado: 'activa' } } };
         if (req.usuario.rol === 'organizador' || req.usuario.rol === 'admin') {
-            filtro = { organizador_id: new ObjectId(req.usuario.id) };
+            filtro = { $or: [{ organizador_id: new ObjectId(req.usuario.id) }, delegados] };
+        } else if (req.usuario.rol === 'arbitro') {
+            filtro = delegados;
         } else {
-            filtro = { "jugadores_inscritos.id": req.usuario.id };
+            const yo = await usuariosCollection.findOne({ _id: new ObjectId(req.usuario.id) }, { projection: { telefono: 1 } });
+            filtro = { $or: [{ "jugadores_inscritos.usuario_id": req.usuario.id }, { "jugadores_inscritos.telefono": yo ? yo.telefono : null }] };
         }
+        Object.assign(filtro, filtroEstados(req.query.estado));
         const torneos = await torneosCollection.find(filtro).sort({ creadoEn: -1 }).toArray();
-        res.json(torneos);
+        res.json(torneos.map(t => ocultarDatosPrivados(t, req.usuario)));
     } catch (error) {
         res.status(500).json({ error: 'Error al obtener torneos' });
     }
@@ -1104,8 +1596,8 @@ app.get('/api/torneos/mis-torneos', verificarToken, async (req, res) => {
 // B. LISTA GENERAL (Para el Dashboard Principal)
 app.get('/api/torneos', async (req, res) => {
     try {
-        const torneos = await torneosCollection.find().sort({ _id: -1 }).toArray();
-        res.json(torneos);
+        const torneos = await torneosCollection.find(filtroEstados(req.query.estado)).sort({ _id: -1 }).toArray();
+        res.json(torneos.map(t => ocultarDatosPrivados(t, null)));
     } catch (error) {
         res.status(500).json({ error: 'Error cargando torneos' });
     }
@@ -1144,11 +1636,15 @@ app.get('/api/torneos/:id/partidos', async (req, res) => {
             const idJ1 = String(p.jugador1);
             const idJ2 = String(p.jugador2);
 
+            // Meta de carambolas de cada quien (guardada, o calculada si aún no se juega)
+            const metas = (p.meta1 && p.meta2) ? { meta1: p.meta1, meta2: p.meta2 }
+                : (torneo ? metasPartido(torneo, idJ1, idJ2) : {});
+
             return {
                 ...p, 
                 // Si no encuentra el nombre, pone el ID para que al menos veamos algo
-                jugador1: { id: p.jugador1, nombre: nombresMap[idJ1] || '⚠️ ' + idJ1.slice(-4) },
-                jugador2: { id: p.jugador2, nombre: nombresMap[idJ2] || '⚠️ ' + idJ2.slice(-4) }
+                jugador1: { id: p.jugador1, nombre: nombresMap[idJ1] || '⚠️ ' + idJ1.slice(-4), meta: metas.meta1 },
+                jugador2: { id: p.jugador2, nombre: nombresMap[idJ2] || '⚠️ ' + idJ2.slice(-4), meta: metas.meta2 }
             };
         });
 
@@ -1162,35 +1658,52 @@ app.get('/api/torneos/:id/partidos', async (req, res) => {
 });
 
 // D. INSCRIBIR JUGADOR (Con Validación Anti-Duplicados)
-app.post('/api/torneos/inscribir', verificarToken, async (req, res) => {
+app.post('/api/torneos/inscribir', verificarToken, requierePermiso('inscripciones'), async (req, res) => {
     try {
-        let { torneoId, nombre, telefono } = req.body;
+        let { torneoId, nombre, telefono, rango } = req.body;
 
-        const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) });
-        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+        const torneo = req.torneo;
 
-        // Validación: ¿Ya existe el teléfono en este torneo?
-        const yaInscrito = torneo.jugadores_inscritos && torneo.jugadores_inscritos.some(j => j.telefono === telefono);
-        if (yaInscrito) {
-            return res.status(400).json({ error: 'Este jugador ya está inscrito en el torneo.' });
+        // Las inscripciones se cierran cuando empieza el juego
+        if (estadoTorneo(torneo) !== 'abierto') {
+            return res.status(400).json({ error: `Las inscripciones están cerradas (torneo ${estadoTorneo(torneo)}).` });
+        }
+
+        // Se puede inscribir a un jugador ya conocido (de /api/jugadores/buscar) o por teléfono
+        let jugador = null;
+        if (req.body.jugadorId) {
+            if (!ObjectId.isValid(req.body.jugadorId)) return res.status(400).json({ error: 'jugadorId inválido.' });
+            jugador = await jugadoresCollection.findOne({ _id: new ObjectId(req.body.jugadorId), fusionadoCon: null });
+            if (!jugador) return res.status(404).json({ error: 'Jugador no encontrado.' });
+            telefono = telefono || jugador.telefono;
         }
 
-        // Si viene solo teléfono, buscamos el nombre en usuarios
+        // Si el teléfono tiene cuenta en la App, la inscripción se liga a ese usuario (y usa su nombre)
+        const usuarioExistente = telefono ? await usuariosCollection.findOne({ telefono }) : null;
+        if (usuarioExistente) nombre = usuarioExistente.nombre;
+        if (!nombre && jugador) nombre = jugador.nombre;
         if (!nombre && telefono) {
-            const usuarioExistente = await usuariosCollection.findOne({ telefono });
-            if (usuarioExistente) {
-                nombre = usuarioExistente.nombre;
-            } else {
-                return res.status(400).json({ error: 'El número no está registrado. Ingresa un nombre.' });
-            }
+            return res.status(400).json({ error: 'El número no está registrado. Ingresa un nombre.' });
         }
 
         if (!torneoId || !nombre || !telefono) {
             return res.status(400).json({ error: 'Faltan datos obligatorios.' });
         }
 
+        if (!jugador) jugador = await jugadorCanonico({ usuarioId: usuarioExistente && usuarioExistente._id, telefono, nombre });
+
+        // Validación: ¿Ya está este jugador (o su teléfono) en el torneo?
+        const yaInscrito = (torneo.jugadores_inscritos || []).some(j =>
+            j.jugador_id === String(jugador._id) || j.telefono === telefono
+        );
+        if (yaInscrito) {
+            return res.status(400).json({ error: 'Este jugador ya está inscrito en el torneo.' });
+        }
+
         const nuevoJugador = {
             id: new ObjectId().toString(),
+            jugador_id: String(jugador._id),
+            usuario_id: usuarioExistente ? String(usuarioExistente._id) : null,
             nombre: nombre,
             telefono: telefono,
             puntos: 0,
@@ -1198,6 +1711,7 @@ app.post('/api/torneos/inscribir', verificarToken, async (req, res) => {
             victorias: 0, // Unificamos nombres de campos (victorias vs ganados)
             derrotas: 0,
             carambolas: 0,
+            rango: parseInt(rango) || 1, // Categoría para el handicap (1 = la más fuerte)
             inscritoEn: new Date()
         };
 
@@ -1206,6 +1720,10 @@ app.post('/api/torneos/inscribir', verificarToken, async (req, res) => {
             { $push: { jugadores_inscritos: nuevoJugador } }
         );
 
+        await apilarOperacion(torneo, req.usuario, 'inscripcion', `Inscripción de ${nuevoJugador.nombre}`, { inscrito: nuevoJugador });
+
+        await notificarTorneo(torneoId, 'inscripcion', { jugador: { id: nuevoJugador.id, nombre: nuevoJugador.nombre } });
+
         res.json({ message: 'Inscripción exitosa.', nuevoJugador });
 
     } catch (error) {
@@ -1215,374 +1733,5070 @@ app.post('/api/torneos/inscribir', verificarToken, async (req, res) => {
 });
 
 
-// RUTA PARA MIGRAR DATOS (Versión simplificada para correr hoy)
-app.get('/api/admin/migrar-datos/:torneoId', async (req, res) => {
-    // ⚠️ ELIMINAMOS LA VERIFICACIÓN DE ROL POR AHORA
-    // (Ya no usamos req.usuario.rol para que no te de error)
+// ==========================================
+// 🛠️ MANTENIMIENTO (Solo admin)
+// ==========================================
+// Todas son POST { torneoId, simular }. Con simular: true no se escribe nada,
+// solo se reporta lo que cambiaría. Cada corrida (simulada o no, con éxito o
+// con error) queda en la colección trabajosMantenimiento.
+
+/**
+ * Corre una tarea de mantenimiento, la registra en la bitácora y responde.
+ * La tarea recibe (simular) y devuelve el resumen de lo que hizo (o haría).
+ */
+async function ejecutarMantenimiento(tipo, req, res, tarea) {
+    const simular = req.body.simular === true || req.body.simular === 'true';
+    const trabajo = {
+        tipo,
+        parametros: { ...req.body },
+        simulacion: simular,
+        ejecutadoPor: { id: req.usuario.id, nombre: req.usuario.nombre },
+        inicio: new Date()
+    };
 
+    let httpStatus = 200;
     try {
-        const { torneoId } = req.params;
+        const { status, ...resultado } = await tarea(simular);
+        trabajo.estado = resultado.error ? 'rechazado' : 'ok';
+        trabajo.resultado = resultado;
+        if (resultado.error) httpStatus = status || 400;
+    } catch (error) {
+        console.error(`🔥 Error en mantenimiento (${tipo}):`, error);
+        trabajo.estado = 'error';
+        trabajo.resultado = { error: error.message };
+        httpStatus = 500;
+    }
+    trabajo.fin = new Date();
+
+    const { insertedId } = await trabajosMantenimientoCollection.insertOne(trabajo);
+    res.status(httpStatus).json({ trabajoId: insertedId, simulacion: simular, ...trabajo.resultado });
+}
+
+// Torneo del body, o el motivo por el que no se puede usar
+async function torneoParaMantenimiento(torneoId) {
+    if (!torneoId || !ObjectId.isValid(torneoId)) return { error: 'Falta un torneoId válido.', status: 400 };
+    const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) });
+    if (!torneo) return { error: 'Torneo no encontrado.', status: 404 };
+    return { torneo };
+}
 
-        console.log("Iniciando migración para torneo:", torneoId);
+const claveNombre = (nombre) => String(nombre || '').toLowerCase().trim();
 
-        // 1. Traemos TODOS los datos de la tabla de la web
-        const jugadoresViejos = await tablaCollection.find({}).toArray();
+// A. MIGRAR JUGADORES DE LA TABLA WEB A UN TORNEO
+// Solo agrega a quien falte (por origen o por nombre); nunca reemplaza la lista.
+app.post('/api/admin/migrar-datos', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('migrar-datos', req, res, async (simular) => {
+    const { torneo, error, status } = await torneoParaMantenimiento(req.body.torneoId);
+    if (error) return { error, status };
 
-        if (jugadoresViejos.length === 0) {
-            return res.json({ message: "No se encontraron jugadores en la tabla vieja para migrar." });
-        }
+    const jugadoresViejos = await tablaCollection.find({}).toArray();
 
-        // 2. Los transformamos
-        const jugadoresMapeados = jugadoresViejos.map(j => ({
-            id: new ObjectId().toString(), 
+    const inscritos = torneo.jugadores_inscritos || [];
+    const origenes = new Set(inscritos.map(j => j.origen_id).filter(Boolean));
+    const jugadores = new Set(inscritos.map(j => j.jugador_id).filter(Boolean));
+    const nombres = new Set(inscritos.map(j => claveNombre(j.nombre)));
+
+    // Mismo jugador = mismo jugador_id; las filas aún sin vincular se comparan por nombre
+    const yaEsta = (j) => origenes.has(String(j._id))
+        || (j.jugador_id ? jugadores.has(String(j.jugador_id)) : nombres.has(claveNombre(j.nombre)));
+
+    const nuevos = jugadoresViejos
+        .filter(j => j.nombre && !yaEsta(j))
+        .map(j => ({
+            id: new ObjectId().toString(),
+            origen_id: String(j._id),
+            jugador_id: j.jugador_id ? String(j.jugador_id) : null,
             nombre: j.nombre,
-            telefono: j.telefono || '0000000000',
+            telefono: j.telefono || TELEFONO_RELLENO,
             puntos: parseInt(j.puntos) || 0,
             partidosJugados: parseInt(j.jugados) || 0,
             victorias: parseInt(j.ganadas) || 0,
             carambolas: 0
         }));
 
-        // 3. Los insertamos
+    if (!simular && nuevos.length > 0) {
         await torneosCollection.updateOne(
-            { _id: new ObjectId(torneoId) },
-            { $set: { jugadores_inscritos: jugadoresMapeados } }
+            { _id: torneo._id },
+            { $push: { jugadores_inscritos: { $each: nuevos } } }
         );
-
-        res.json({ 
-            message: `¡Migración exitosa! ${jugadoresMapeados.length} jugadores copiados.`,
-            estado: "Revisa tu App Móvil, los datos deben aparecer ahora."
-        });
-
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: 'Error en la migración: ' + error.message });
     }
-});
-
-// index.js
-
-// =======================================================
-// RUTA CORREGIDA: MIGRAR HISTORIAL (Web Clásica -> App Móvil)
-// =======================================================
-app.get('/api/admin/migrar-historial-partidas/:torneoId', async (req, res) => {
-    try {
-        if (!db) return res.status(500).json({ error: "Base de datos no conectada." });
 
-        const { torneoId } = req.params;
-        const torneoObjectId = new ObjectId(torneoId);
+    return {
+        message: simular ? 'Simulación: nada se guardó.' : `Migración lista: ${nuevos.length} jugadores agregados.`,
+        en_tabla_web: jugadoresViejos.length,
+        ya_estaban: jugadoresViejos.length - nuevos.length,
+        agregados: nuevos.map(j => j.nombre)
+    };
+}));
 
-        // 1. Obtenemos el torneo para el diccionario de IDs
-        const torneo = await torneosCollection.findOne({ _id: torneoObjectId });
-        if (!torneo) return res.status(404).json({ error: "Torneo no encontrado" });
+// B. MIGRAR HISTORIAL (Web Clásica -> Torneo)
+// Cada partida copiada guarda origen_id, así una segunda corrida no la duplica.
+// Las copiadas por la ruta vieja (sin origen_id) se reconocen por jugadores, marcador y fecha,
+// y se les completa el origen_id.
+app.post('/api/admin/migrar-historial-partidas', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('migrar-historial-partidas', req, res, async (simular) => {
+    const { torneo, error, status } = await torneoParaMantenimiento(req.body.torneoId);
+    if (error) return { error, status };
+
+    // Nombre de la web → inscrito: por jugador_id si la fila ya está vinculada, si no por nombre
+    const mapaJugadores = {};
+    (torneo.jugadores_inscritos || []).forEach(j => {
+        if (j.nombre) mapaJugadores[claveNombre(j.nombre)] = j.id;
+    });
+    const filas = await tablaCollection.find({ jugador_id: { $exists: true } }, { projection: { jugador_id: 1 } }).toArray();
+    filas.forEach(fila => {
+        const inscrito = (torneo.jugadores_inscritos || []).find(j => j.jugador_id === String(fila.jugador_id));
+        if (inscrito) mapaJugadores[claveNombre(fila._id)] = inscrito.id;
+    });
 
-        const mapaJugadores = {};
-        if (torneo.jugadores_inscritos) {
-            torneo.jugadores_inscritos.forEach(j => {
-                if (j.nombre) mapaJugadores[j.nombre.toLowerCase().trim()] = j.id;
-            });
-        }
+    // Las partidas viejas son las que no tienen torneo_id asociado
+    const partidasViejas = await historialCollection.find({ torneo_id: { $exists: false }, estado: { $ne: 'anulado' } }).toArray();
+    const yaMigradas = new Set(
+        (await historialCollection.find(
+            { torneo_id: torneo._id, origen_id: { $exists: true } },
+            { projection: { origen_id: 1 } }
+        ).toArray()).map(p => String(p.origen_id))
+    );
 
-        // 2. CORRECCIÓN: Buscamos en 'historialPartidas' (tu colección real)
-        // Filtramos solo las partidas viejas (las que no tienen torneo_id asociado)
-        const partidasViejas = await db.collection('historialPartidas')
-            .find({ torneo_id: { $exists: false } }) 
-            .toArray();
-        
-        let partidasImportadas = 0;
-        let errores = 0;
-
-        for (const p of partidasViejas) {
-            // 3. CORRECCIÓN: Mapeamos tus campos viejos (ganador/perdedor)
-            // En tu web vieja guardas: { ganador: "Nombre", perdedor: "Nombre", marcadorGanador: 10, ... }
-            const nombreGanador = p.ganador;
-            const nombrePerdedor = p.perdedor;
-
-            if (!nombreGanador || !nombrePerdedor) continue;
-
-            const idGanador = mapaJugadores[nombreGanador.toLowerCase().trim()];
-            const idPerdedor = mapaJugadores[nombrePerdedor.toLowerCase().trim()];
-
-            // Solo migramos si ambos existen en el torneo nuevo
-            if (idGanador && idPerdedor) {
-                const puntosGanador = parseInt(p.marcadorGanador) || 0;
-                const puntosPerdedor = parseInt(p.marcadorPerdedor) || 0;
-
-                const nuevaPartida = {
-                    torneo_id: torneoObjectId,
-                    jugador1: idGanador, // Asumimos J1 como Ganador para el registro
-                    jugador2: idPerdedor,
-                    puntaje1: puntosGanador,
-                    puntaje2: puntosPerdedor,
-                    ganadorId: idGanador, // Ya sabemos quién ganó
-                    fecha: p.fecha ? new Date(p.fecha) : new Date(),
-                    tipo: 'migracion_historica'
-                };
+    // Copias viejas sin origen_id, por firma (la fecha sólo cuenta si la web la tenía)
+    const firma = (j1, j2, p1, p2, fecha) => [j1, j2, p1, p2, fecha ? new Date(fecha).getTime() : ''].join('|');
+    const copiasSinOrigen = {};
+    (await historialCollection.find(
+        { torneo_id: torneo._id, tipo: 'migracion_historica', origen_id: { $exists: false } },
+        { projection: { jugador1: 1, jugador2: 1, puntaje1: 1, puntaje2: 1, fecha: 1 } }
+    ).toArray()).forEach(c => {
+        [firma(c.jugador1, c.jugador2, c.puntaje1, c.puntaje2, c.fecha), firma(c.jugador1, c.jugador2, c.puntaje1, c.puntaje2, null)]
+            .forEach(clave => (copiasSinOrigen[clave] = copiasSinOrigen[clave] || []).push(c._id));
+    });
+    const usadas = new Set();
+    const tomarCopia = (clave) => {
+        const id = (copiasSinOrigen[clave] || []).find(c => !usadas.has(String(c)));
+        if (id) usadas.add(String(id));
+        return id;
+    };
 
-                await historialCollection.insertOne(nuevaPartida);
-                partidasImportadas++;
-            } else {
-                errores++;
-            }
+    const nuevas = [];
+    const vinculadas = [];
+    const sinCoincidencia = new Set();
+    let repetidas = 0;
+
+    for (const p of partidasViejas) {
+        // En la web vieja: { ganador: "Nombre", perdedor: "Nombre", marcadorGanador: 10, ... }
+        if (!p.ganador || !p.perdedor) continue;
+        if (yaMigradas.has(String(p._id))) { repetidas++; continue; }
+
+        const idGanador = mapaJugadores[claveNombre(p.ganador)];
+        const idPerdedor = mapaJugadores[claveNombre(p.perdedor)];
+        if (!idGanador) sinCoincidencia.add(p.ganador);
+        if (!idPerdedor) sinCoincidencia.add(p.perdedor);
+        if (!idGanador || !idPerdedor) continue;
+
+        const puntaje1 = parseInt(p.marcadorGanador) || 0;
+        const puntaje2 = parseInt(p.marcadorPerdedor) || 0;
+        const copia = tomarCopia(firma(idGanador, idPerdedor, puntaje1, puntaje2, p.fecha || null));
+        if (copia) {
+            vinculadas.push({ _id: copia, origen_id: p._id });
+            repetidas++;
+            continue;
         }
 
-        res.json({
-            message: "Migración finalizada.",
-            total_partidas_viejas_encontradas: partidasViejas.length,
-            importadas_a_la_app: partidasImportadas,
-            no_coincidieron_nombres: errores,
-            nota: "Si 'no_coincidieron' es alto, revisa que los nombres en la App sean idénticos a la Web."
+        nuevas.push({
+            torneo_id: torneo._id,
+            origen_id: p._id,
+            jugador1: idGanador, // J1 siempre es el ganador en lo migrado
+            jugador2: idPerdedor,
+            puntaje1,
+            puntaje2,
+            ganadorId: idGanador,
+            fecha: p.fecha ? new Date(p.fecha) : new Date(),
+            tipo: 'migracion_historica',
+            estado: 'jugado'
         });
-
-    } catch (error) {
-        console.error("Error migración:", error);
-        res.status(500).json({ error: error.message });
     }
-});
 
-// ==========================================
-// 🧮 RECALCULAR ESTADÍSTICAS (MODO BILLAR: SIN EMPATES)
-// Reglas: Ganar = 3 pts, Perder = 1 pt.
-// ==========================================
-app.get('/api/admin/recalcular-stats/:torneoId', async (req, res) => {
-    try {
-        const { torneoId } = req.params;
-        const torneoObjectId = new ObjectId(torneoId);
+    if (!simular && vinculadas.length > 0) {
+        await historialCollection.bulkWrite(vinculadas.map(v => ({
+            updateOne: { filter: { _id: v._id }, update: { $set: { origen_id: v.origen_id } } }
+        })));
+    }
+    // Se guardan sus puntos con las reglas del torneo (sin ellos se tomarían como partidas de antes de las reglas)
+    const reglas = reglasPuntuacion(torneo.reglas);
+    nuevas.forEach(p => puntuarPartida(reglas, p));
 
-        // 1. Obtener datos
-        const torneo = await torneosCollection.findOne({ _id: torneoObjectId });
-        if (!torneo) return res.status(404).json({ error: "Torneo no encontrado" });
+    if (!simular && nuevas.length > 0) {
+        await historialCollection.insertMany(nuevas);
+        for (const p of nuevas) await registrarEvento('registrada', { partida: p, fecha: p.fecha, motivo: 'Migración de la web' });
+    }
 
-        const partidas = await historialCollection.find({ torneo_id: torneoObjectId }).toArray();
+    return {
+        message: simular ? 'Simulación: nada se guardó.' : 'Migración finalizada.',
+        total_partidas_viejas_encontradas: partidasViejas.length,
+        importadas_a_la_app: nuevas.length,
+        ya_migradas_antes: repetidas,
+        copias_viejas_vinculadas: vinculadas.length,
+        nombres_sin_coincidencia: [...sinCoincidencia],
+        nota: "Si hay nombres sin coincidencia, revisa que los nombres en la App sean idénticos a la Web."
+    };
+}));
 
-        // 2. Reiniciar contadores (Eliminamos la columna 'empates')
-        const stats = {};
-        if (torneo.jugadores_inscritos) {
-            torneo.jugadores_inscritos.forEach(j => {
-                stats[j.id] = {
-                    ...j, 
-                    puntos: 0,          
-                    carambolas: 0,      
-                    partidosJugados: 0,
-                    victorias: 0,
-                    derrotas: 0
-                    // Ya no existe 'empates'
-                };
-            });
+// ==========================================
+// 🧮 C. RECALCULAR ESTADÍSTICAS
+// Reglas: Las del torneo (puntos_ganar / puntos_perder / empates / bonos).
+// ==========================================
+app.post('/api/admin/recalcular-stats', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('recalcular-stats', req, res, async (simular) => {
+    const { torneo, error, status } = await torneoParaMantenimiento(req.body.torneoId);
+    if (error) return { error, status };
+
+    // Los partidos de la llave (fase final) y los programados no suman a la tabla de liga
+    const partidas = await historialCollection.find(filtroPartidasJugadas(torneo._id)).toArray();
+
+    // 1. Puntuamos cada partida con las reglas ACTUALES del torneo
+    const reglas = reglasPuntuacion(torneo.reglas);
+    const puntuadas = [];
+    const repuntuadas = [];
+    let omitidas = 0;
+
+    partidas.forEach(p => {
+        const calculo = normalizarPartida(p);
+
+        // Un empate en un torneo que no los permite (ej. un 0-0 por accidente) no cuenta
+        if (!puntuarPartida(reglas, calculo)) {
+            omitidas++;
+            return;
         }
+        puntuadas.push(calculo);
 
-        // 3. Procesar lógica estricta (Ganar o Perder)
-        partidas.forEach(p => {
-            const id1 = String(p.jugador1);
-            const id2 = String(p.jugador2);
-            const score1 = parseInt(p.puntaje1) || 0;
-            const score2 = parseInt(p.puntaje2) || 0;
-
-            // Solo procesamos si los jugadores existen en la lista de inscritos
-            if (stats[id1] && stats[id2]) {
-                
-                // CASO 1: JUGADOR 1 GANA
-                if (score1 > score2) {
-                    // J1 Gana
-                    stats[id1].partidosJugados++;
-                    stats[id1].carambolas += score1;
-                    stats[id1].victorias++;
-                    stats[id1].puntos += 3; // 🏆 3 Puntos
-
-                    // J2 Pierde
-                    stats[id2].partidosJugados++;
-                    stats[id2].carambolas += score2;
-                    stats[id2].derrotas++;
-                    stats[id2].puntos += 1; // 💀 1 Punto
-                } 
-                // CASO 2: JUGADOR 2 GANA
-                else if (score2 > score1) {
-                    // J2 Gana
-                    stats[id2].partidosJugados++;
-                    stats[id2].carambolas += score2;
-                    stats[id2].victorias++;
-                    stats[id2].puntos += 3; // 🏆 3 Puntos
-
-                    // J1 Pierde
-                    stats[id1].partidosJugados++;
-                    stats[id1].carambolas += score1;
-                    stats[id1].derrotas++;
-                    stats[id1].puntos += 1; // 💀 1 Punto
-                }
-                // SI SON IGUALES (score1 === score2) NO HACEMOS NADA
-                // Esto evita errores si se guardó un 0-0 por accidente.
-            }
-        });
+        // La tabla lee los puntos guardados en cada partida: si las reglas cambiaron, se corrigen
+        if (p.puntos1 !== calculo.puntos1 || p.puntos2 !== calculo.puntos2) repuntuadas.push(calculo);
+    });
 
-        // 4. Guardar cambios en la base de datos
-        const jugadoresActualizados = Object.values(stats);
-        
-        // Ordenamos la tabla de una vez (Por Puntos, luego por Carambolas)
-        jugadoresActualizados.sort((a, b) => {
-            if (b.puntos !== a.puntos) return b.puntos - a.puntos;
-            return b.carambolas - a.carambolas;
+    // 2. La misma proyección que usa la tabla, ordenada con los desempates del torneo
+    const filas = proyectarTabla(torneo, puntuadas);
+    const stats = {};
+    filas.forEach(f => { stats[f.id] = f; });
+
+    const ranking = rankingInscritos(torneo, filas, puntuadas);
+    const jugadoresActualizados = ranking.map(j => stats[j.id]);
+
+    // Qué cambia respecto a lo guardado (para revisar antes de aplicar)
+    const CAMPOS = ['puntos', 'partidosJugados', 'victorias', 'derrotas', 'empates', 'carambolas', 'entradas', 'serieMayor'];
+    const cambios = (torneo.jugadores_inscritos || []).map(antes => {
+        const despues = stats[antes.id];
+        const diferencias = {};
+        CAMPOS.forEach(c => {
+            if ((antes[c] || 0) !== despues[c]) diferencias[c] = { antes: antes[c] || 0, despues: despues[c] };
         });
-
+        return { nombre: antes.nombre, diferencias };
+    }).filter(c => Object.keys(c.diferencias).length > 0);
+
+    // 3. Guardar cambios en la base de datos
+    if (!simular) {
+        if (repuntuadas.length > 0) {
+            await historialCollection.bulkWrite(repuntuadas.map(c => ({
+                updateOne: { filter: { _id: c._id }, update: { $set: { puntos1: c.puntos1, puntos2: c.puntos2 } } }
+            })));
+            for (const c of repuntuadas) {
+                await registrarEvento('corregida', { partida: c, motivo: 'Puntos recalculados con las reglas actuales', por: firmaUsuario(req.usuario, torneo) });
+            }
+        }
         await torneosCollection.updateOne(
-            { _id: torneoObjectId },
+            { _id: torneo._id },
             { $set: { jugadores_inscritos: jugadoresActualizados } }
         );
+    }
 
-        res.json({
-            message: "Estadísticas Billar Recalculadas (Sin Empates).",
-            total_partidas: partidas.length,
-            tabla_posiciones: jugadoresActualizados.map(j => ({
-                nombre: j.nombre,
-                pts: j.puntos,
-                pj: j.partidosJugados,
-                g: j.victorias,
-                p: j.derrotas
-            }))
-        });
+    return {
+        message: simular ? 'Simulación: nada se guardó.' : 'Estadísticas Billar Recalculadas con las reglas del torneo.',
+        total_partidas: partidas.length,
+        partidas_omitidas: omitidas,
+        partidas_repuntuadas: repuntuadas.length,
+        cambios,
+        tabla_posiciones: ranking.map(j => ({
+            nombre: j.nombre,
+            pts: j.puntos,
+            pj: j.partidosJugados,
+            g: j.victorias,
+            p: j.derrotas,
+            e: j.empates,
+            serie_mayor: j.serieMayor,
+            promedio_general: promedioGeneral(j.carambolas, j.entradas),
+            decidido_por: j.decididoPor
+        }))
+    };
+}));
 
-    } catch (error) {
-        console.error("Error recalculando:", error);
-        res.status(500).json({ error: error.message });
+// ==========================================
+// 🧹 D. HERRAMIENTA DE LIMPIEZA: BORRAR DUPLICADOS
+// ==========================================
+app.post('/api/admin/limpiar-duplicados', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('limpiar-duplicados', req, res, async (simular) => {
+    const { torneo, error, status } = await torneoParaMantenimiento(req.body.torneoId);
+    if (error) return { error, status };
+
+    // 1. Traer TODAS las partidas jugadas del torneo (el calendario pendiente no cuenta)
+    const partidas = await historialCollection
+        .find({ torneo_id: torneo._id, estado: { $nin: ESTADOS_SIN_RESULTADO } })
+        .sort({ _id: 1 })
+        .toArray();
+
+    // 2. "Firma única" por partida: J1, J2, puntajes y fecha. Se queda la primera.
+    const firmasVistas = new Set();
+    const duplicados = [];
+    for (const p of partidas) {
+        const firma = `${p.jugador1}-${p.jugador2}-${p.puntaje1}-${p.puntaje2}-${new Date(p.fecha).getTime()}`;
+        if (firmasVistas.has(firma)) duplicados.push(p);
+        else firmasVistas.add(firma);
+    }
+
+    if (!simular && duplicados.length > 0) {
+        const edicion = { accion: 'anulada', motivo: 'Duplicado', por: firmaUsuario(req.usuario, torneo), fecha: new Date() };
+        await historialCollection.updateMany(
+            { _id: { $in: duplicados.map(p => p._id) } },
+            { $set: { estado: 'anulado', mesa: null }, $push: { historialEdiciones: edicion } }
+        );
+        for (const p of duplicados) {
+            await registrarEvento('anulada', { partida: p, motivo: edicion.motivo, por: edicion.por, fecha: edicion.fecha });
+        }
     }
-});
+
+    return {
+        message: simular ? 'Simulación: nada se anuló.' : 'Limpieza completada.',
+        total_partidas_analizadas: partidas.length,
+        duplicados_eliminados: simular ? 0 : duplicados.length,
+        duplicados: duplicados.map(p => ({ _id: p._id, jugador1: p.jugador1, jugador2: p.jugador2, marcador: `${p.puntaje1}-${p.puntaje2}`, fecha: p.fecha })),
+        partidas_unicas_restantes: partidas.length - duplicados.length,
+        instruccion: duplicados.length > 0 && !simular ? "AHORA EJECUTA 'RECALCULAR-STATS' PARA CORREGIR LA TABLA." : undefined
+    };
+}));
 
 // ==========================================
-// 🧹 HERRAMIENTA DE LIMPIEZA: BORRAR DUPLICADOS
+// 🕵️ E. DETECTIVE DE PUNTOS: AUDITORÍA PASO A PASO (solo lectura)
 // ==========================================
-app.get('/api/admin/limpiar-duplicados/:torneoId', async (req, res) => {
-    try {
-        const { torneoId } = req.params;
-        const torneoObjectId = new ObjectId(torneoId);
+app.post('/api/debug/auditar-jugador', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('auditar-jugador', req, res, async () => {
+    const { torneo, error, status } = await torneoParaMantenimiento(req.body.torneoId);
+    if (error) return { error, status };
 
-        // 1. Traer TODAS las partidas del torneo
-        const partidas = await historialCollection.find({ torneo_id: torneoObjectId }).toArray();
-        
-        const firmasVistas = new Set();
-        let duplicadosEncontrados = 0;
-        let partidasBorradas = 0;
-
-        for (const p of partidas) {
-            // Creamos una "firma única" para cada partida basada en sus datos clave
-            // Usamos J1, J2, Puntajes y Fecha (convertida a string para comparar)
-            const firma = `${p.jugador1}-${p.jugador2}-${p.puntaje1}-${p.puntaje2}-${new Date(p.fecha).getTime()}`;
-
-            if (firmasVistas.has(firma)) {
-                // 🚨 ¡Es un duplicado! Ya vimos esta firma antes.
-                // Lo borramos de la base de datos
-                await historialCollection.deleteOne({ _id: p._id });
-                duplicadosEncontrados++;
-                partidasBorradas++;
-            } else {
-                // Es la primera vez que vemos esta partida, la guardamos en el Set
-                firmasVistas.add(firma);
-            }
+    const { nombreJugador } = req.body;
+    if (!nombreJugador) return { error: 'Indica el nombre del jugador.', status: 400 };
+
+    // Buscar el ID del jugador basado en el nombre (sin importar mayúsculas)
+    const jugador = (torneo.jugadores_inscritos || []).find(j =>
+        claveNombre(j.nombre).includes(claveNombre(nombreJugador))
+    );
+    if (!jugador) return { error: "Jugador no encontrado con ese nombre.", status: 404 };
+
+    const partidas = await historialCollection.find({
+        ...filtroPartidasJugadas(torneo._id),
+        $or: [{ jugador1: jugador.id }, { jugador2: jugador.id }]
+    }).toArray();
+
+    // Simulación de la suma paso a paso
+    let auditoria = [];
+    let sumaPuntosLiga = 0;   // Puntos para la tabla (PJ, PG, etc)
+    let sumaCarambolas = 0;   // Puntos anotados en el juego
+
+    const reglas = reglasPuntuacion(torneo.reglas);
+
+    partidas.forEach((p, index) => {
+        const soyJ1 = String(p.jugador1) === String(jugador.id);
+
+        // Convertimos a número para evitar errores de texto
+        const misPuntos = parseInt(soyJ1 ? p.puntaje1 : p.puntaje2) || 0;
+        const rivalPuntos = parseInt(soyJ1 ? p.puntaje2 : p.puntaje1) || 0;
+
+        // Mismo cálculo que usan registrar-manual y recalcular-stats
+        const calculo = normalizarPartida(p);
+        const cuenta = puntuarPartida(reglas, calculo);
+
+        let resultado = "DERROTA";
+        if (!calculo.ganadorId) resultado = "EMPATE";
+        else if (calculo.ganadorId === String(jugador.id)) resultado = "VICTORIA";
+
+        let puntosGanadosEstaPartida = 0;
+        if (cuenta) {
+            puntosGanadosEstaPartida = soyJ1 ? calculo.puntos1 : calculo.puntos2;
+            sumaPuntosLiga += puntosGanadosEstaPartida;
+            sumaCarambolas += misPuntos;
         }
 
-        res.json({
-            message: "Limpieza completada.",
-            total_partidas_analizadas: partidas.length,
-            duplicados_eliminados: partidasBorradas,
-            partidas_unicas_restantes: partidas.length - partidasBorradas,
-            instruccion: "AHORA EJECUTA LA RUTA DE 'RECALCULAR-STATS' PARA CORREGIR LA TABLA."
+        auditoria.push({
+            partida: index + 1,
+            rival: soyJ1 ? "vs J2" : "vs J1",
+            marcador: `${misPuntos} - ${rivalPuntos}`,
+            resultado: resultado,
+            calculo: cuenta
+                ? `Suma ${puntosGanadosEstaPartida} pts a la tabla.`
+                : 'No cuenta: el torneo no permite empates.'
         });
+    });
+
+    return {
+        jugador: jugador.nombre,
+        resumen_actual_en_db: {
+            puntos_registrados: jugador.puntos,
+            carambolas_registradas: jugador.carambolas
+        },
+        resumen_calculado_ahora: {
+            puntos_segun_auditoria: sumaPuntosLiga,
+            carambolas_segun_auditoria: sumaCarambolas
+        },
+        DETALLE_PASO_A_PASO: auditoria
+    };
+}));
 
+// F. BITÁCORA DE TRABAJOS DE MANTENIMIENTO
+app.get('/api/admin/trabajos', verificarToken, soloAdmin, async (req, res) => {
+    try {
+        const filtro = req.query.tipo ? { tipo: req.query.tipo } : {};
+        const trabajos = await trabajosMantenimientoCollection.find(filtro).sort({ inicio: -1 }).limit(50).toArray();
+        res.json(trabajos);
     } catch (error) {
-        console.error("Error limpieza:", error);
-        res.status(500).json({ error: error.message });
+        console.error('🔥 Error al leer la bitácora:', error);
+        res.status(500).json({ error: 'Error al leer la bitácora de mantenimiento.' });
     }
 });
 
 
+
 // ==========================================
-// 🕵️ DETECTIVE DE PUNTOS: AUDITORÍA PASO A PASO
+// 🧮 MÓDULO DE PUNTUACIÓN (Reglas de puntos de cada torneo)
 // ==========================================
-app.get('/api/debug/auditar-jugador/:torneoId/:nombreJugador', async (req, res) => {
-    try {
-        const { torneoId, nombreJugador } = req.params;
-        const torneoObjectId = new ObjectId(torneoId);
+// Todas las rutas que escriben o recalculan la tabla pasan por aquí.
+// Así "ganar = 3, perder = 1" deja de estar repetido por todo el archivo.
 
-        // 1. Buscar las partidas de ese jugador
-        // Usamos Regex para buscar el nombre sin importar mayúsculas
-        const torneo = await torneosCollection.findOne({ _id: torneoObjectId });
-        
-        // Buscar el ID del jugador basado en el nombre que escribiste
-        const jugador = torneo.jugadores_inscritos.find(j => 
-            j.nombre.toLowerCase().includes(nombreJugador.toLowerCase())
-        );
+// La Web Clásica no tiene torneo: estas son las reglas de su liga general
+const REGLAS_LIGA_CLASICA = { puntos_ganar: 3, puntos_perder: 1, permiteEmpates: false, limiteEnfrentamientos: 2 };
 
-        if (!jugador) return res.status(404).json({ error: "Jugador no encontrado con ese nombre." });
+/**
+ * Normaliza las reglas de puntuación de un torneo (con sus valores por defecto).
+ */
+function reglasPuntuacion(reglas = {}) {
+    return {
+        ganar: reglas.puntos_ganar ?? 3,
+        perder: reglas.puntos_perder ?? 0,
+        empatar: reglas.puntos_empatar ?? 1,
+        permiteEmpates: reglas.permiteEmpates ?? true, // Los torneos de antes del campo aceptaban empates
+        bonoBlanqueada: reglas.bonoBlanqueada || 0,   // Extra por dejar al rival en 0
+        bonoSerieAlta: reglas.bonoSerieAlta || 0,     // Extra por una serie (tacada) alta
+        serieAltaMinima: reglas.serieAltaMinima || 0
+    };
+}
 
-        const partidas = await historialCollection.find({
-            torneo_id: torneoObjectId,
-            $or: [{ jugador1: jugador.id }, { jugador2: jugador.id }]
-        }).toArray();
+/**
+ * Decide quién ganó. Con handicap gana quien llegó a SU meta;
+ * sin handicap, el marcador mayor. Devuelve { error } si el resultado no vale.
+ */
+function decidirResultado(torneo, jugador1Id, jugador2Id, p1, p2, metas = null) {
+    const { meta1, meta2 } = metas || metasPartido(torneo, jugador1Id, jugador2Id);
+    let ganadorId = null;
+
+    if (torneo.reglas?.usaHandicap) {
+        const llego1 = p1 >= meta1;
+        const llego2 = p2 >= meta2;
+        if (llego1 && llego2) {
+            return { error: `Ambos no pueden alcanzar su meta (${meta1} y ${meta2}). Revisa el marcador.` };
+        }
+        if (!llego1 && !llego2) {
+            return { error: `Ningún jugador alcanzó su meta (${meta1} y ${meta2}).` };
+        }
+        ganadorId = llego1 ? jugador1Id : jugador2Id;
+    } else {
+        if (p1 > p2) ganadorId = jugador1Id;
+        if (p2 > p1) ganadorId = jugador2Id;
+    }
 
-        // 2. Simulación de la suma paso a paso
-        let auditoria = [];
-        let sumaPuntosLiga = 0;   // Puntos para la tabla (PJ, PG, etc)
-        let sumaCarambolas = 0;   // Puntos anotados en el juego
+    if (!ganadorId && !reglasPuntuacion(torneo.reglas).permiteEmpates) {
+        return { error: 'Este torneo no permite empates. Revisa el marcador.' };
+    }
 
-        partidas.forEach((p, index) => {
-            const soyJ1 = String(p.jugador1) === String(jugador.id);
-            
-            // Convertimos a número para evitar errores de texto
-            const misPuntos = parseInt(soyJ1 ? p.puntaje1 : p.puntaje2) || 0;
-            const rivalPuntos = parseInt(soyJ1 ? p.puntaje2 : p.puntaje1) || 0;
-            
-            let resultado = "";
-            let puntosGanadosEstaPartida = 0;
-
-            if (misPuntos > rivalPuntos) {
-                resultado = "VICTORIA";
-                puntosGanadosEstaPartida = 3; // <--- OJO AQUÍ: ¿ESTO ES LO QUE QUIERES?
-            } else if (misPuntos === rivalPuntos) {
-                resultado = "EMPATE";
-                puntosGanadosEstaPartida = 1;
-            } else {
-                resultado = "DERROTA";
-                puntosGanadosEstaPartida = 0;
-            }
+    return { ganadorId, meta1, meta2 };
+}
 
-            sumaPuntosLiga += puntosGanadosEstaPartida;
-            sumaCarambolas += misPuntos;
+/**
+ * Copia de una partida guardada lista para puntuar: ids como texto y ganador resuelto.
+ * El ganador guardado manda (handicap); si la partida no lo tiene, decide el marcador.
+ */
+function normalizarPartida(p) {
+    const id1 = String(p.jugador1);
+    const id2 = String(p.jugador2);
+    const score1 = parseInt(p.puntaje1) || 0;
+    const score2 = parseInt(p.puntaje2) || 0;
 
-            auditoria.push({
-                partida: index + 1,
-                rival: soyJ1 ? "vs J2" : "vs J1",
-                marcador: `${misPuntos} - ${rivalPuntos}`,
-                resultado: resultado,
-                calculo: `Suma ${puntosGanadosEstaPartida} pts a la tabla.`
-            });
-        });
+    let ganadorId = p.ganadorId;
+    if (ganadorId === undefined) ganadorId = score1 > score2 ? id1 : (score2 > score1 ? id2 : null);
 
-        res.json({
-            jugador: jugador.nombre,
-            resumen_actual_en_db: {
-                puntos_registrados: jugador.puntos,
-                carambolas_registradas: jugador.carambolas
-            },
-            resumen_calculado_ahora: {
-                puntos_segun_auditoria: sumaPuntosLiga,
-                carambolas_segun_auditoria: sumaCarambolas
-            },
-            DETALLE_PASO_A_PASO: auditoria
-        });
+    return { ...p, jugador1: id1, jugador2: id2, ganadorId: ganadorId ? String(ganadorId) : null };
+}
 
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+/**
+ * Calcula los puntos de liga de cada jugador y los deja en la partida
+ * (puntos1 / puntos2). Devuelve false si es un empate que las reglas no aceptan.
+ */
+function puntuarPartida(reglas, partida) {
+    const { jugador1, jugador2, ganadorId } = partida;
+    const p1 = parseInt(partida.puntaje1) || 0;
+    const p2 = parseInt(partida.puntaje2) || 0;
 
+    if (!ganadorId && !reglas.permiteEmpates) return false;
 
+    const puntosDe = (id, rivalCarambolas, miSerie) => {
+        let puntos;
+        if (!ganadorId) puntos = reglas.empatar;
+        else if (String(ganadorId) === String(id)) puntos = reglas.ganar;
+        else puntos = reglas.perder;
 
-// =======================================================
-// 8. ▶️ INICIALIZACIÓN DEL SERVIDOR
-// =======================================================
+        if (ganadorId && String(ganadorId) === String(id) && rivalCarambolas === 0) {
+            puntos += reglas.bonoBlanqueada;
+        }
+        if (reglas.serieAltaMinima > 0 && (parseInt(miSerie) || 0) >= reglas.serieAltaMinima) {
+            puntos += reglas.bonoSerieAlta;
+        }
+        return puntos;
+    };
+
+    partida.puntos1 = puntosDe(jugador1, p2, partida.serie1);
+    partida.puntos2 = puntosDe(jugador2, p1, partida.serie2);
+    return true;
+}
 
-connectToDB().then(() => {
-    // '0.0.0.0' permite que te conectes desde el celular (externo)
-    app.listen(port, '0.0.0.0', () => {
-        console.log(`🚀 Servidor corriendo en http://localhost:${port}`);
-        console.log(`📡 Accesible en red: http://192.168.100.6:${port}`);
+/**
+ * Lo que una partida (ya puntuada) suma a cada jugador en la tabla del torneo.
+ */
+function aportePartida(partida) {
+    const { jugador1, jugador2, ganadorId } = partida;
+    const fila = (id, puntos, carambolas, entradas, serie) => ({
+        id: String(id),
+        partidosJugados: 1,
+        puntos: puntos || 0,
+        carambolas: parseInt(carambolas) || 0,
+        victorias: ganadorId && String(ganadorId) === String(id) ? 1 : 0,
+        derrotas: ganadorId && String(ganadorId) !== String(id) ? 1 : 0,
+        empates: ganadorId ? 0 : 1,
+        entradas: parseInt(entradas) || 0,      // Sólo si el partido se anotó por entradas
+        serieMayor: parseInt(serie) || 0
     });
-});
+
+    return [
+        fila(jugador1, partida.puntos1, partida.puntaje1, partida.entradas1, partida.serie1),
+        fila(jugador2, partida.puntos2, partida.puntaje2, partida.entradas2, partida.serie2)
+    ];
+}
+
+/**
+ * Suma (signo = 1) o resta (signo = -1) una partida a jugadores_inscritos.
+ */
+async function aplicarEstadisticasTorneo(torneoObjectId, partida, signo = 1, sesion) {
+    for (const aporte of aportePartida(partida)) {
+        const cambios = {
+            $inc: {
+                "jugadores_inscritos.$.partidosJugados": signo * aporte.partidosJugados,
+                "jugadores_inscritos.$.puntos": signo * aporte.puntos,
+                "jugadores_inscritos.$.carambolas": signo * aporte.carambolas,
+                "jugadores_inscritos.$.victorias": signo * aporte.victorias,
+                "jugadores_inscritos.$.derrotas": signo * aporte.derrotas,
+                "jugadores_inscritos.$.empates": signo * aporte.empates,
+                "jugadores_inscritos.$.entradas": signo * aporte.entradas
+            }
+        };
+        // La serie mayor no se puede "restar": al revertir hay que recalcular el torneo
+        if (signo > 0) cambios.$max = { "jugadores_inscritos.$.serieMayor": aporte.serieMayor };
+
+        await torneosCollection.updateOne(
+            { _id: torneoObjectId, "jugadores_inscritos.id": aporte.id },
+            cambios,
+            { session: sesion }
+        );
+    }
+}
+
+/**
+ * Serie mayor de cada jugador según sus partidas jugadas (tras restar una partida).
+ */
+async function recalcularSerieMayor(torneoObjectId, jugadorIds) {
+    for (const id of jugadorIds.map(String)) {
+        const partidas = await historialCollection.find({
+            ...filtroPartidasJugadas(torneoObjectId),
+            $or: [{ jugador1: id }, { jugador2: id }]
+        }, { projection: { jugador1: 1, serie1: 1, serie2: 1 } }).toArray();
+
+        const serieMayor = partidas.reduce((max, p) =>
+            Math.max(max, parseInt(String(p.jugador1) === id ? p.serie1 : p.serie2) || 0), 0);
+
+        await torneosCollection.updateOne(
+            { _id: torneoObjectId, "jugadores_inscritos.id": id },
+            { $set: { "jugadores_inscritos.$.serieMayor": serieMayor } }
+        );
+    }
+}
+
+/**
+ * Puntos de una partida de la Web Clásica (ganador / perdedor por nombre).
+ * Las partidas nuevas guardan lo que se sumó; las viejas usan la regla de la liga.
+ */
+function puntosPartidaClasica(partida) {
+    if (partida.puntosGanador !== undefined && partida.puntosPerdedor !== undefined) {
+        return { puntosGanador: partida.puntosGanador, puntosPerdedor: partida.puntosPerdedor };
+    }
+
+    const calculo = {
+        jugador1: partida.ganador,
+        jugador2: partida.perdedor,
+        puntaje1: partida.marcadorGanador,
+        puntaje2: partida.marcadorPerdedor,
+        ganadorId: partida.ganador
+    };
+    puntuarPartida(reglasPuntuacion(REGLAS_LIGA_CLASICA), calculo);
+    return { puntosGanador: calculo.puntos1 || 0, puntosPerdedor: calculo.puntos2 || 0 };
+}
+
+
+
+// ==========================================
+// 🚦 CICLO DE VIDA DEL TORNEO (MÁQUINA DE ESTADOS)
+// ==========================================
+// abierto → en_curso → fase_final → finalizado → archivado
+// (Una liga sin llave puede ir directo de en_curso a finalizado)
+
+const TRANSICIONES_TORNEO = {
+    abierto: ['en_curso'],
+    en_curso: ['fase_final', 'finalizado'],
+    fase_final: ['finalizado'],
+    finalizado: ['archivado'],
+    archivado: []
+};
+
+// Los torneos viejos no tienen estado: cuentan como abiertos
+function estadoTorneo(torneo) {
+    return torneo.estado || 'abierto';
+}
+
+function puedeTransitar(torneo, nuevoEstado) {
+    return (TRANSICIONES_TORNEO[estadoTorneo(torneo)] || []).includes(nuevoEstado);
+}
+
+function admiteResultados(torneo) {
+    return !['finalizado', 'archivado'].includes(estadoTorneo(torneo));
+}
+
+function reglasCongeladas(torneo) {
+    return ['fase_final', 'finalizado', 'archivado'].includes(estadoTorneo(torneo));
+}
+
+/**
+ * Revisa un cambio de reglas (o de algo que las afecta: cobros, premios, rangos).
+ * Con las reglas congeladas sólo pasa forzando y con motivo (del body), y devuelve la
+ * entrada para $push: { auditoriaReglas }. Devuelve { auditoria } o { error, status }.
+ */
+function revisarCambioReglas(req, torneo, cambios, anteriores = torneo.reglas) {
+    if (!reglasCongeladas(torneo)) return { auditoria: null };
+
+    const { forzar, motivo } = req.body;
+    if (!forzar || !motivo) {
+        return { error: `Las reglas están congeladas (torneo ${estadoTorneo(torneo)}). Envía "forzar" y un "motivo".`, status: 400 };
+    }
+    return {
+        auditoria: {
+            cambios,
+            anteriores,
+            motivo,
+            estado: estadoTorneo(torneo),
+            usuario: { id: req.usuario.id, nombre: req.usuario.nombre, rol: req.usuario.rol },
+            fecha: new Date()
+        }
+    };
+}
+
+// Filtro de listados: ?estado=abierto o ?estado=abierto,en_curso
+function filtroEstados(estado) {
+    if (!estado) return {};
+    const estados = String(estado).split(',').map(e => e.trim()).filter(Boolean);
+    // 'abierto' también incluye a los torneos viejos sin estado
+    return estados.includes('abierto')
+        ? { $or: [{ estado: { $in: estados } }, { estado: { $exists: false } }] }
+        : { estado: { $in: estados } };
+}
+
+/**
+ * Aplica una transición válida y la deja registrada (quién y cuándo).
+ * "extra" permite guardar en el mismo update lo que acompaña al cambio (ej. la llave).
+ */
+async function cambiarEstadoTorneo(torneo, nuevoEstado, usuario, extra = {}) {
+    const anterior = estadoTorneo(torneo);
+
+    await torneosCollection.updateOne(
+        { _id: torneo._id },
+        {
+            $set: { ...extra, estado: nuevoEstado },
+            $push: {
+                historialEstados: {
+                    de: anterior,
+                    a: nuevoEstado,
+                    usuario: { id: usuario.id, nombre: usuario.nombre, rol: usuario.rol },
+                    fecha: new Date()
+                }
+            }
+        }
+    );
+}
+
+// A. CAMBIAR ESTADO DEL TORNEO
+app.post('/api/torneos/cambiar-estado', verificarToken, requierePermiso('propietario'), async (req, res) => {
+    try {
+        const { torneoId, estado } = req.body;
+        if (!torneoId || !estado) return res.status(400).json({ error: 'Indica torneo y estado.' });
+
+        const torneo = req.torneo;
+
+        if (!puedeTransitar(torneo, estado)) {
+            return res.status(400).json({
+                error: `No se puede pasar de "${estadoTorneo(torneo)}" a "${estado}".`,
+                permitidos: TRANSICIONES_TORNEO[estadoTorneo(torneo)] || []
+            });
+        }
+
+        // La fase final necesita su llave: se entra por generar-llave
+        if (estado === 'fase_final') {
+            return res.status(400).json({ error: 'Para iniciar la fase final usa /api/torneos/generar-llave.' });
+        }
+
+        // Si hay llave, no se finaliza sin campeón
+        if (estado === 'finalizado' && torneo.faseFinal && !torneo.faseFinal.campeonId) {
+            return res.status(400).json({ error: 'La llave aún no tiene campeón.' });
+        }
+
+        if (estado === 'finalizado') {
+            // Un resultado por confirmar o en disputa se resuelve antes (con /resolver)
+            const abiertos = await historialCollection
+                .find({ torneo_id: torneo._id, estado: { $in: ['pendiente', 'disputado'] } }, { projection: { jugador1: 1, jugador2: 1, estado: 1 } })
+                .toArray();
+            if (abiertos.length > 0) {
+                return res.status(400).json({
+                    error: `Hay ${abiertos.length} resultado(s) por confirmar o en disputa. Resuélvelos antes de finalizar.`,
+                    partidos: abiertos
+                });
+            }
+
+            // Los que quedaron en vivo se anulan (nunca sumaron) y liberan su mesa
+            await historialCollection.updateMany(
+                { torneo_id: torneo._id, estado: 'en_juego' },
+                {
+                    $set: { estado: 'anulado', mesa: null },
+                    $push: { historialEdiciones: { accion: 'anulada', motivo: 'Torneo finalizado con el partido en vivo', por: firmaUsuario(req.usuario, torneo), fecha: new Date() } }
+                }
+            );
+
+            // Al terminar se descartan los partidos que nunca se jugaron
+            await historialCollection.deleteMany({ torneo_id: torneo._id, estado: 'programado' });
+        }
+
+        const extra = estado === 'finalizado' ? { 'fechas.fin': new Date() } : {};
+        await cambiarEstadoTorneo(torneo, estado, req.usuario, extra);
+        await notificarTorneo(torneo._id, 'estado', { de: estadoTorneo(torneo), a: estado });
+
+        res.json({ message: `Torneo ahora "${estado}".`, de: estadoTorneo(torneo), a: estado });
+
+    } catch (error) {
+        console.error('🔥 Error al cambiar estado:', error);
+        res.status(500).json({ error: 'Error al cambiar el estado del torneo.' });
+    }
+});
+
+// B. HISTORIAL DE ESTADOS
+app.get('/api/torneos/:id/estados', verificarToken, async (req, res) => {
+    try {
+        const torneo = await torneosCollection.findOne(
+            { _id: new ObjectId(req.params.id) },
+            { projection: { estado: 1, historialEstados: 1, auditoriaReglas: 1 } }
+        );
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+
+        res.json({
+            estado: estadoTorneo(torneo),
+            siguientes: TRANSICIONES_TORNEO[estadoTorneo(torneo)] || [],
+            historial: torneo.historialEstados || [],
+            auditoriaReglas: torneo.auditoriaReglas || []
+        });
+
+    } catch (error) {
+        res.status(500).json({ error: 'Error al leer el historial de estados.' });
+    }
+});
+
+
+
+// ==========================================
+// 📊 TABLA: ORDEN Y CRITERIOS DE DESEMPATE
+// ==========================================
+// Todas las tablas (app, web, SSE, llave, premios, recalcular-stats) se ordenan aquí:
+// primero por puntos y, a igualdad, con los desempates del torneo en su orden.
+
+const DESEMPATES = {
+    enfrentamiento: 'Enfrentamiento directo',
+    diferencia: 'Carambolas a favor menos en contra',
+    promedio: 'Promedio general',
+    serie: 'Serie mayor',
+    sorteo: 'Sorteo'
+};
+const DESEMPATES_POR_DEFECTO = ['enfrentamiento', 'diferencia', 'promedio', 'serie', 'sorteo'];
+
+/**
+ * Valida la lista de desempates que manda el organizador. Devuelve el texto del error o null.
+ */
+function errorDesempates(lista) {
+    if (!Array.isArray(lista) || lista.length === 0) return 'Los desempates deben ser una lista.';
+    const invalidos = lista.filter(d => !DESEMPATES[d]);
+    if (invalidos.length > 0) {
+        return `Desempates inválidos: ${invalidos.join(', ')}. Usa: ${Object.keys(DESEMPATES).join(', ')}.`;
+    }
+    if (new Set(lista).size !== lista.length) return 'Un desempate no puede repetirse.';
+    return null;
+}
+
+function desempatesDe(torneo) {
+    return torneo?.reglas?.desempates || DESEMPATES_POR_DEFECTO;
+}
+
+/**
+ * Promedio general para comparar: por entradas si se anotaron, si no por partido.
+ */
+function promedioDesempate(fila) {
+    const carambolas = fila.carambolas || 0;
+    if ((fila.entradas || 0) > 0) return carambolas / fila.entradas;
+    return (fila.partidosJugados || 0) > 0 ? carambolas / fila.partidosJugados : 0;
+}
+
+// Número fijo por torneo y jugador: el "sorteo" sale igual en todas las vistas
+function numeroSorteo(semilla, id) {
+    let hash = 0;
+    for (const letra of `${semilla}:${id}`) hash = (hash * 31 + letra.charCodeAt(0)) | 0;
+    return hash;
+}
+
+/**
+ * Carambolas que le hicieron a cada jugador en las partidas dadas.
+ */
+function carambolasEnContra(partidas) {
+    const enContra = {};
+    partidas.forEach(p => {
+        enContra[p.jugador1] = (enContra[p.jugador1] || 0) + (parseInt(p.puntaje2) || 0);
+        enContra[p.jugador2] = (enContra[p.jugador2] || 0) + (parseInt(p.puntaje1) || 0);
+    });
+    return enContra;
+}
+
+/**
+ * Valor de un criterio para cada jugador del grupo empatado (mayor es mejor).
+ * El enfrentamiento directo es una mini liga sólo entre los del grupo.
+ */
+function valoresCriterio(criterio, grupo, contexto) {
+    const valores = {};
+    grupo.forEach(f => { valores[f.id] = 0; });
+
+    if (criterio === 'enfrentamiento') {
+        contexto.partidas
+            .filter(p => valores[p.jugador1] !== undefined && valores[p.jugador2] !== undefined)
+            .forEach(p => {
+                valores[p.jugador1] += p.puntos1 || 0;
+                valores[p.jugador2] += p.puntos2 || 0;
+            });
+        return valores;
+    }
+
+    grupo.forEach(f => {
+        if (criterio === 'diferencia') valores[f.id] = (f.carambolas || 0) - (contexto.enContra[f.id] || 0);
+        if (criterio === 'promedio') valores[f.id] = Math.round(promedioDesempate(f) * 1000);
+        if (criterio === 'serie') valores[f.id] = f.serieMayor || 0;
+        if (criterio === 'sorteo') valores[f.id] = numeroSorteo(contexto.semilla, f.id);
+    });
+    return valores;
+}
+
+/**
+ * Ordena un grupo empatado. Si un criterio lo parte, los subgrupos que siguen
+ * empatados vuelven a empezar (el enfrentamiento directo se recalcula entre ellos).
+ */
+function resolverEmpate(grupo, contexto) {
+    if (grupo.length < 2) return grupo;
+
+    for (const criterio of contexto.desempates) {
+        const valores = valoresCriterio(criterio, grupo, contexto);
+        const distintos = [...new Set(grupo.map(f => valores[f.id]))].sort((a, b) => b - a);
+        if (distintos.length === 1) continue;
+
+        return distintos.flatMap(valor => {
+            const subgrupo = grupo.filter(f => valores[f.id] === valor);
+            if (subgrupo.length === 1) {
+                subgrupo[0].decididoPor = criterio;
+                return subgrupo;
+            }
+            return resolverEmpate(subgrupo, contexto);
+        });
+    }
+
+    // Ningún criterio los separa: quedan empatados en el orden en que llegaron
+    grupo.forEach(f => { f.decididoPor = null; f.empatado = true; });
+    return grupo;
+}
+
+/**
+ * Ordena filas de tabla { id, puntos, carambolas, entradas, partidosJugados, serieMayor }
+ * con las partidas de liga ya puntuadas ({ jugador1, jugador2, puntaje1, puntaje2, puntos1, puntos2 }).
+ * Cada fila sale con "decididoPor": el desempate que la separó de sus empatados (null si no hubo empate).
+ */
+function ordenarTabla(filas, { partidas = [], desempates = DESEMPATES_POR_DEFECTO, semilla = '' } = {}) {
+    const contexto = { partidas, desempates, semilla, enContra: carambolasEnContra(partidas) };
+
+    const porPuntos = {};
+    (filas || []).forEach(f => {
+        const fila = { ...f, id: String(f.id), decididoPor: null, carambolasEnContra: contexto.enContra[String(f.id)] || 0 };
+        const puntos = fila.puntos || 0;
+        (porPuntos[puntos] = porPuntos[puntos] || []).push(fila);
+    });
+
+    return Object.keys(porPuntos)
+        .map(Number)
+        .sort((a, b) => b - a)
+        .flatMap(puntos => resolverEmpate(porPuntos[puntos], contexto));
+}
+
+/**
+ * Partidas de liga del torneo que cuentan (según la bitácora, hasta hoy o hasta "hasta"), ya puntuadas.
+ */
+async function partidasParaRanking(torneo, hasta = null) {
+    const partidas = await partidasSegunEventos(torneo._id, hasta);
+    return partidas.map(p => partidaPuntuada(torneo, p)).filter(Boolean);
+}
+
+/**
+ * Estadísticas de cada inscrito calculadas desde las partidas de liga ya puntuadas.
+ * Es la única fuente de la tabla: lo guardado en jugadores_inscritos es sólo una copia
+ * (recalcular-stats la vuelve a alinear con esto).
+ */
+function proyectarTabla(torneo, partidas) {
+    const stats = {};
+    (torneo.jugadores_inscritos || []).forEach(j => {
+        stats[j.id] = {
+            ...j,
+            puntos: 0,
+            carambolas: 0,
+            partidosJugados: 0,
+            victorias: 0,
+            derrotas: 0,
+            empates: 0,
+            entradas: 0,
+            serieMayor: 0
+        };
+    });
+
+    partidas.forEach(p => {
+        // Solo cuentan partidas entre jugadores inscritos
+        if (!stats[p.jugador1] || !stats[p.jugador2]) return;
+
+        aportePartida(p).forEach(aporte => {
+            const fila = stats[aporte.id];
+            fila.partidosJugados += aporte.partidosJugados;
+            fila.puntos += aporte.puntos;
+            fila.carambolas += aporte.carambolas;
+            fila.victorias += aporte.victorias;
+            fila.derrotas += aporte.derrotas;
+            fila.empates += aporte.empates;
+            fila.entradas += aporte.entradas;
+            fila.serieMayor = Math.max(fila.serieMayor, aporte.serieMayor);
+        });
+    });
+
+    return Object.values(stats);
+}
+
+/**
+ * Tabla del torneo ya ordenada (puntos y desempates), proyectada desde la bitácora.
+ * Con "hasta" es la tabla como estaba ese día (reglas e inscritos de entonces).
+ */
+async function tablaTorneo(torneo, hasta = null) {
+    const enFecha = hasta ? await torneoEnFecha(torneo, hasta) : torneo;
+    const partidas = await partidasParaRanking(enFecha, hasta);
+    return rankingInscritos(enFecha, proyectarTabla(enFecha, partidas), partidas);
+}
+
+/**
+ * Partidas de la Web Clásica con la forma que espera ordenarTabla (el id es el nombre).
+ */
+function partidasClasicasParaRanking(partidas) {
+    return partidas.map(p => {
+        const { puntosGanador, puntosPerdedor } = puntosPartidaClasica(p);
+        return {
+            jugador1: String(p.ganador),
+            jugador2: String(p.perdedor),
+            puntaje1: p.marcadorGanador,
+            puntaje2: p.marcadorPerdedor,
+            puntos1: puntosGanador,
+            puntos2: puntosPerdedor
+        };
+    });
+}
+
+/**
+ * Tabla general de la Web Clásica proyectada desde la bitácora (hasta hoy o hasta "hasta"),
+ * ya ordenada con los desempates de la liga.
+ */
+async function rankingTablaGeneral(hasta = null) {
+    const [jugadores, partidas] = await Promise.all([
+        tablaCollection.find({}, { projection: { telefono: 0 } }).toArray(),
+        partidasSegunEventos(null, hasta)
+    ]);
+
+    const filas = proyectarTablaGeneral(await filasConBase(jugadores, hasta ? null : partidas), partidas).map(j => ({
+        ...j,
+        id: j._id,
+        carambolas: j.totalCarambolas || 0,
+        partidosJugados: j.partidasJugadas || 0
+    }));
+    return ordenarTabla(filas, { partidas: partidasClasicasParaRanking(partidas), semilla: 'tabla-general' });
+}
+
+// ==========================================
+// 🏆 FASE FINAL: LLAVE DE ELIMINACIÓN DIRECTA
+// ==========================================
+
+// Formatos de siembra que acepta configuracion.formatoFinal
+const FORMATOS_LLAVE = ['snake', 'estandar'];
+
+/**
+ * Ordena a los inscritos como en la tabla (puntos y desempates del torneo).
+ * Es el ranking que usamos para sembrar la llave y repartir premios.
+ */
+function rankingInscritos(torneo, jugadores, partidas) {
+    return ordenarTabla(jugadores, { partidas, desempates: desempatesDe(torneo), semilla: String(torneo._id) });
+}
+
+/**
+ * Siembra estándar (1 vs N): cada ronda duplica la llave y a cada semilla le pone
+ * enfrente a su complemento. El 1 y el 2 quedan en mitades opuestas. Ej. 8: [1,8,4,5,2,7,3,6]
+ */
+function ordenSiembraEstandar(tamano) {
+    if (tamano <= 2) return [1, 2].slice(0, tamano);
+
+    const anterior = ordenSiembraEstandar(tamano / 2);
+    return anterior.flatMap(semilla => [semilla, tamano + 1 - semilla]);
+}
+
+/**
+ * Siembra serpiente: reparte las semillas en dos mitades en zig-zag
+ * (A, B, B, A, A, B, ...) y repite en cada mitad.
+ * Así el 1 y el 2 sólo pueden cruzarse en la final. Ej. 8: [1,8,4,5,2,7,3,6]
+ */
+function ordenSiembraSerpiente(semillas) {
+    if (semillas.length <= 2) return semillas;
+
+    const mitadA = [];
+    const mitadB = [];
+    semillas.forEach((semilla, i) => {
+        const vaEnA = (i % 4 === 0 || i % 4 === 3);
+        (vaEnA ? mitadA : mitadB).push(semilla);
+    });
+
+    return [...ordenSiembraSerpiente(mitadA), ...ordenSiembraSerpiente(mitadB)];
+}
+
+/**
+ * Arma la llave completa a partir de los clasificados ya ordenados.
+ * Si no son potencia de 2, los huecos son "byes" para los mejores sembrados.
+ */
+function construirLlave(clasificados, formato) {
+    let tamano = 2;
+    while (tamano < clasificados.length) tamano *= 2;
+    const totalRondas = Math.log2(tamano);
+
+    const semillas = Array.from({ length: tamano }, (_, i) => i + 1);
+    const orden = formato === 'estandar' ? ordenSiembraEstandar(tamano) : ordenSiembraSerpiente(semillas);
+
+    // 1. Creamos todos los cruces vacíos, ronda por ronda
+    const partidos = [];
+    for (let ronda = 1; ronda <= totalRondas; ronda++) {
+        const cruces = tamano / Math.pow(2, ronda);
+        for (let posicion = 1; posicion <= cruces; posicion++) {
+            partidos.push({
+                id: `R${ronda}-P${posicion}`,
+                ronda,
+                posicion,
+                jugador1: null,
+                jugador2: null,
+                semilla1: null,
+                semilla2: null,
+                ganadorId: null,
+                estado: 'pendiente',
+                siguiente: ronda < totalRondas ? `R${ronda + 1}-P${Math.ceil(posicion / 2)}` : null,
+                lugarEnSiguiente: posicion % 2 === 1 ? 'jugador1' : 'jugador2'
+            });
+        }
+    }
+
+    const llave = {
+        formato,
+        tamano,
+        totalRondas,
+        clasificados: clasificados.map((j, i) => ({ id: j.id, nombre: j.nombre, semilla: i + 1 })),
+        partidos,
+        campeonId: null,
+        generadaEn: new Date()
+    };
+
+    // 2. Sentamos a los sembrados en la primera ronda
+    for (let i = 0; i < orden.length; i += 2) {
+        const partido = partidos[i / 2];
+        const jugadorA = clasificados[orden[i] - 1];
+        const jugadorB = clasificados[orden[i + 1] - 1];
+
+        partido.jugador1 = jugadorA ? jugadorA.id : null;
+        partido.semilla1 = jugadorA ? orden[i] : null;
+        partido.jugador2 = jugadorB ? jugadorB.id : null;
+        partido.semilla2 = jugadorB ? orden[i + 1] : null;
+    }
+
+    // 3. Los byes avanzan solos
+    partidos.filter(p => p.ronda === 1 && (!p.jugador1 || !p.jugador2)).forEach(p => {
+        const libre = p.jugador1 || p.jugador2;
+        if (libre) avanzarEnLlave(llave, p.id, libre);
+        p.estado = 'bye';
+    });
+
+    return llave;
+}
+
+/**
+ * Marca el ganador de un cruce y lo sienta en el cruce siguiente.
+ * Devuelve la misma llave (modificada) para guardarla con $set.
+ */
+function avanzarEnLlave(llave, idPartido, ganadorId) {
+    const partido = llave.partidos.find(p => p.id === idPartido);
+    partido.ganadorId = ganadorId;
+    partido.estado = 'jugado';
+
+    if (partido.siguiente) {
+        const siguiente = llave.partidos.find(p => p.id === partido.siguiente);
+        const semilla = partido.jugador1 === ganadorId ? partido.semilla1 : partido.semilla2;
+        siguiente[partido.lugarEnSiguiente] = ganadorId;
+        siguiente[partido.lugarEnSiguiente === 'jugador1' ? 'semilla1' : 'semilla2'] = semilla;
+    } else {
+        llave.campeonId = ganadorId;
+    }
+
+    return llave;
+}
+
+// Busca el cruce pendiente entre dos jugadores (en cualquier orden)
+function buscarPartidoLlave(partidos, jugadorA, jugadorB) {
+    return (partidos || []).find(p =>
+        p.estado === 'pendiente' &&
+        ((p.jugador1 === jugadorA && p.jugador2 === jugadorB) ||
+         (p.jugador1 === jugadorB && p.jugador2 === jugadorA))
+    );
+}
+
+// A. CERRAR LA LIGA Y GENERAR LA LLAVE
+app.post('/api/torneos/generar-llave', verificarToken, requierePermiso('reglas'), async (req, res) => {
+    try {
+        const { torneoId, formato } = req.body;
+        if (!torneoId) return res.status(400).json({ error: 'Falta el torneo.' });
+
+        const torneo = req.torneo;
+        const siembra = req.body.siembra || torneo.configuracion?.siembra || 'tabla';
+        if (!['tabla', 'rating'].includes(siembra)) {
+            return res.status(400).json({ error: 'La siembra debe ser "tabla" o "rating".' });
+        }
+        if (torneo.faseFinal) return res.status(400).json({ error: 'La llave de este torneo ya fue generada.' });
+        if (!puedeTransitar(torneo, 'fase_final')) {
+            return res.status(400).json({ error: `No se puede pasar a fase final desde "${estadoTorneo(torneo)}". Inicia el torneo primero.` });
+        }
+
+        const formatoFinal = formato || torneo.configuracion?.formatoFinal || 'snake';
+        if (!FORMATOS_LLAVE.includes(formatoFinal)) {
+            return res.status(400).json({ error: `Formato inválido. Usa: ${FORMATOS_LLAVE.join(', ')}.` });
+        }
+
+        // Sólo pasan los que cumplen el mínimo de partidas del torneo
+        const corte = torneo.reglas?.top_clasificados || 8;
+        const minimo = partidasMinimas(torneo);
+        const tabla = await tablaTorneo(torneo);
+        let clasificados = tabla.filter(j => j.partidosJugados >= minimo).slice(0, corte);
+        if (clasificados.length < 2) {
+            return res.status(400).json({ error: 'Se necesitan al menos 2 clasificados para la llave.' });
+        }
+
+        // Clasifican por la tabla; con siembra "rating" el orden de la llave lo da el rating
+        if (siembra === 'rating') {
+            const ratingDe = await ratingsDe(clasificados.map(j => j.jugador_id));
+            clasificados = [...clasificados].sort((a, b) => ratingDe(b.jugador_id) - ratingDe(a.jugador_id));
+        }
+
+        const faseFinal = construirLlave(clasificados, formatoFinal);
+        faseFinal.generadaPor = req.usuario.nombre;
+        faseFinal.siembra = siembra;
+
+        await cambiarEstadoTorneo(torneo, 'fase_final', req.usuario, { faseFinal: faseFinal });
+
+        console.log(`🏆 Llave generada (${formatoFinal}) para ${torneo.nombre}: ${clasificados.length} clasificados.`);
+        res.json({ message: 'Fase de liga cerrada. Llave generada.', faseFinal });
+
+    } catch (error) {
+        console.error('🔥 Error al generar llave:', error);
+        res.status(500).json({ error: 'Error interno al generar la llave.' });
+    }
+});
+
+// B. VER LA LLAVE (Con nombres para la App)
+app.get('/api/torneos/:id/llave', async (req, res) => {
+    try {
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+        if (!torneo.faseFinal) return res.status(404).json({ error: 'Este torneo aún no tiene llave.' });
+
+        const nombresMap = {};
+        (torneo.jugadores_inscritos || []).forEach(j => { nombresMap[String(j.id)] = j.nombre; });
+        const conNombre = (id) => (id ? { id, nombre: nombresMap[String(id)] || '⚠️ ' + String(id).slice(-4) } : null);
+
+        const { partidos, campeonId, ...resto } = torneo.faseFinal;
+        res.json({
+            ...resto,
+            campeon: conNombre(campeonId),
+            partidos: partidos.map(p => ({
+                ...p,
+                jugador1: conNombre(p.jugador1),
+                jugador2: conNombre(p.jugador2),
+                ganador: conNombre(p.ganadorId)
+            }))
+        });
+
+    } catch (error) {
+        console.error('🔥 Error al leer llave:', error);
+        res.status(500).json({ error: 'Error al cargar la llave.' });
+    }
+});
+
+
+
+// ==========================================
+// 📅 CALENDARIO: ROUND-ROBIN (TODOS CONTRA TODOS)
+// ==========================================
+
+/**
+ * Método del círculo: fija al primer jugador y rota a los demás.
+ * Con número impar se agrega un "descanso" (null) y a quien le toque, no juega.
+ * Devuelve un arreglo de jornadas, cada una con sus cruces y quién descansa.
+ */
+function generarRoundRobin(ids) {
+    const lista = [...ids];
+    if (lista.length % 2 === 1) lista.push(null);
+
+    const total = lista.length;
+    const jornadas = [];
+
+    for (let r = 0; r < total - 1; r++) {
+        const cruces = [];
+        let descansa = null;
+
+        for (let i = 0; i < total / 2; i++) {
+            let local = lista[i];
+            let visita = lista[total - 1 - i];
+            // Alternamos quién es "jugador1" para que no sea siempre el mismo
+            if (i === 0 && r % 2 === 1) [local, visita] = [visita, local];
+
+            if (local === null || visita === null) {
+                descansa = local || visita;
+            } else {
+                cruces.push([local, visita]);
+            }
+        }
+
+        jornadas.push({ cruces, descansa });
+
+        // Rotamos todos menos el primero
+        lista.splice(1, 0, lista.pop());
+    }
+
+    return jornadas;
+}
+
+/**
+ * Convierte las jornadas en partidos programados.
+ * Cada cruce se repite "juegosPorEnfrentamiento" veces y cada tanda
+ * se parte en rondas que nunca piden más juegos simultáneos que mesas hay.
+ */
+function armarCalendario(torneo, vueltas) {
+    const ids = (torneo.jugadores_inscritos || []).map(j => j.id);
+    const juegos = torneo.reglas?.juegosPorEnfrentamiento || 1;
+    const mesas = torneo.configuracion?.mesas || 0;
+
+    const partidos = [];
+    let ronda = 0;
+    let numeroJornada = 0;
+
+    for (let vuelta = 1; vuelta <= vueltas; vuelta++) {
+        generarRoundRobin(ids).forEach(({ cruces, descansa }) => {
+            numeroJornada++;
+
+            for (let juego = 1; juego <= juegos; juego++) {
+                // En la vuelta de regreso se invierte el orden de los jugadores
+                const tanda = cruces.map(([a, b]) => (vuelta % 2 === 0 ? [b, a] : [a, b]));
+                const porRonda = mesas > 0 ? mesas : tanda.length;
+
+                for (let i = 0; i < tanda.length; i += porRonda) {
+                    ronda++;
+                    tanda.slice(i, i + porRonda).forEach(([jugador1, jugador2]) => {
+                        partidos.push({
+                            torneo_id: torneo._id,
+                            jugador1,
+                            jugador2,
+                            puntaje1: null,
+                            puntaje2: null,
+                            ganadorId: null,
+                            fecha: null,
+                            tipo: 'calendario',
+                            estado: 'programado',
+                            vuelta,
+                            jornada: numeroJornada,
+                            ronda,
+                            juego,
+                            descansa
+                        });
+                    });
+                }
+            }
+        });
+    }
+
+    return partidos;
+}
+
+// Partidas de liga que ya cuentan, por pareja (mismo criterio que el límite de enfrentamientos)
+async function crucesYaJugados(torneo) {
+    const partidas = await historialCollection.find(
+        { torneo_id: torneo._id, fase: { $ne: 'final' }, estado: { $nin: ['programado', 'anulado'] } },
+        { projection: { jugador1: 1, jugador2: 1 } }
+    ).toArray();
+
+    const conteo = {};
+    partidas.forEach(p => {
+        const clave = clavePareja(p.jugador1, p.jugador2);
+        conteo[clave] = (conteo[clave] || 0) + 1;
+    });
+    return conteo;
+}
+
+/**
+ * Quita del calendario nuevo, pareja por pareja, tantos cruces como ya se jugaron
+ * (los primeros de la lista) y vuelve a numerar las rondas que quedan.
+ */
+function descontarJugados(partidos, yaJugados) {
+    const porQuitar = { ...yaJugados };
+    const quedan = partidos.filter(p => {
+        const clave = clavePareja(p.jugador1, p.jugador2);
+        if (!porQuitar[clave]) return true;
+        porQuitar[clave]--;
+        return false;
+    });
+
+    const rondas = [...new Set(quedan.map(p => p.ronda))];
+    return quedan.map(p => ({ ...p, ronda: rondas.indexOf(p.ronda) + 1 }));
+}
+
+// A. GENERAR CALENDARIO (Ida o Ida y Vuelta)
+app.post('/api/torneos/generar-calendario', verificarToken, requierePermiso('reglas'), async (req, res) => {
+    try {
+        const { torneoId, vueltas, regenerar } = req.body;
+        if (!torneoId) return res.status(400).json({ error: 'Falta el torneo.' });
+
+        const numVueltas = parseInt(vueltas) || 1;
+        if (numVueltas !== 1 && numVueltas !== 2) {
+            return res.status(400).json({ error: 'Las vueltas deben ser 1 (sencilla) o 2 (ida y vuelta).' });
+        }
+
+        const torneo = req.torneo;
+
+        // Con la liga cerrada (fase final o torneo terminado) ya no se programan partidos
+        if (reglasCongeladas(torneo)) {
+            return res.status(400).json({ error: `La liga ya cerró (torneo ${estadoTorneo(torneo)}): no se puede generar el calendario.` });
+        }
+
+        if ((torneo.jugadores_inscritos || []).length < 2) {
+            return res.status(400).json({ error: 'Se necesitan al menos 2 inscritos para el calendario.' });
+        }
+
+        // Cada pareja se cruza vueltas × juegos veces: no puede pasar del límite del torneo
+        const cruces = numVueltas * (torneo.reglas?.juegosPorEnfrentamiento || 1);
+        if (cruces > limiteEnfrentamientos(torneo)) {
+            return res.status(400).json({ error: `Con ${numVueltas} vuelta(s) cada pareja jugaría ${cruces} veces y el límite del torneo es ${limiteEnfrentamientos(torneo)}. Súbelo con editar-reglas (nuevoLimiteEnfrentamientos).` });
+        }
+
+        // Evitamos calendarios duplicados: sólo se reemplazan los partidos aún no jugados
+        const pendientes = await historialCollection.countDocuments({ torneo_id: torneo._id, tipo: 'calendario', estado: 'programado' });
+        if (pendientes > 0 && !regenerar) {
+            return res.status(400).json({ error: `Este torneo ya tiene ${pendientes} partidos programados. Envía "regenerar" para reemplazarlos.` });
+        }
+        if (pendientes > 0) {
+            await historialCollection.deleteMany({ torneo_id: torneo._id, tipo: 'calendario', estado: 'programado' });
+        }
+
+        // Si ya hay partidas jugadas (ej. al regenerar), a cada pareja sólo le quedan los cruces que aún no juega
+        const yaJugados = await crucesYaJugados(torneo);
+        const partidos = descontarJugados(armarCalendario(torneo, numVueltas), yaJugados);
+        if (partidos.length > 0) await historialCollection.insertMany(partidos);
+
+        const totalRondas = partidos.length ? partidos[partidos.length - 1].ronda : 0;
+        console.log(`📅 Calendario generado para ${torneo.nombre}: ${partidos.length} partidos en ${totalRondas} rondas.`);
+
+        res.json({
+            message: 'Calendario generado.',
+            vueltas: numVueltas,
+            total_partidos: partidos.length,
+            ya_jugados: Object.values(yaJugados).reduce((n, c) => n + c, 0),
+            total_rondas: totalRondas,
+            mesas: torneo.configuracion?.mesas || 0
+        });
+
+    } catch (error) {
+        console.error('🔥 Error al generar calendario:', error);
+        res.status(500).json({ error: 'Error interno al generar el calendario.' });
+    }
+});
+
+
+
+// ==========================================
+// 🎲 LIGA POR SORTEO ("liga_sorteo")
+// ==========================================
+
+/**
+ * Cuántas veces pueden enfrentarse dos jugadores en el torneo.
+ * Por defecto, lo mismo que los juegos por enfrentamiento.
+ */
+function limiteEnfrentamientos(torneo) {
+    return torneo.reglas?.limiteEnfrentamientos || torneo.reglas?.juegosPorEnfrentamiento || 1;
+}
+
+/**
+ * Partidas de liga que ya cuentan entre dos jugadores (jugadas, en juego o por confirmar).
+ * El calendario pendiente y los anulados no cuentan; la llave final tampoco.
+ */
+async function enfrentamientosPrevios(torneo, jugador1Id, jugador2Id, excluirId = null, sesion) {
+    const filtro = {
+        torneo_id: torneo._id,
+        fase: { $ne: 'final' },
+        estado: { $nin: ['programado', 'anulado'] },
+        $or: [
+            { jugador1: jugador1Id, jugador2: jugador2Id },
+            { jugador1: jugador2Id, jugador2: jugador1Id }
+        ]
+    };
+    if (excluirId) filtro._id = { $ne: excluirId };
+
+    const partidas = await historialCollection
+        .find(filtro, { projection: { jugador1: 1, puntaje1: 1, puntaje2: 1, estado: 1, fecha: 1 }, session: sesion })
+        .sort({ fecha: 1 })
+        .toArray();
+
+    // Marcador siempre desde el punto de vista del jugador 1 pedido
+    return partidas.map(p => ({
+        partidoId: p._id,
+        fecha: p.fecha,
+        estado: p.estado,
+        marcador: p.jugador1 === jugador1Id ? `${p.puntaje1 ?? '-'}-${p.puntaje2 ?? '-'}` : `${p.puntaje2 ?? '-'}-${p.puntaje1 ?? '-'}`
+    }));
+}
+
+/**
+ * Revisa el límite de enfrentamientos antes de escribir un partido de liga.
+ * Devuelve {} si se puede jugar, { excepcion } si se pasó del límite con permiso
+ * del organizador (hay que guardarla), o { error, status, enfrentamientos }.
+ */
+async function revisarLimiteEnfrentamientos(torneo, jugador1Id, jugador2Id, { excluirId = null, excepcion = null, sesion } = {}) {
+    const limite = limiteEnfrentamientos(torneo);
+    const previos = await enfrentamientosPrevios(torneo, jugador1Id, jugador2Id, excluirId, sesion);
+    if (previos.length < limite) return {};
+
+    if (excepcion) return { excepcion: { ...excepcion, limite, previos: previos.length } };
+    return {
+        error: `Estos jugadores ya se enfrentaron ${previos.length} ${previos.length === 1 ? 'vez' : 'veces'} (límite del torneo: ${limite}).`,
+        status: 400,
+        enfrentamientos: previos
+    };
+}
+
+/**
+ * Lee del body la orden de saltarse el límite ({ forzarLimite, motivoLimite }).
+ * Solo quien puede cambiar las reglas del torneo puede darla.
+ */
+function excepcionDeLimite(req, torneo) {
+    const { forzarLimite, motivoLimite } = req.body;
+    if (!forzarLimite) return {};
+    if (!tienePermiso(req.usuario, torneo, 'reglas')) {
+        return { error: 'Solo el organizador puede saltarse el límite de enfrentamientos.', status: 403 };
+    }
+    if (!motivoLimite || !String(motivoLimite).trim()) {
+        return { error: 'Indica el motivo para saltarse el límite de enfrentamientos.', status: 400 };
+    }
+    return { excepcion: { motivo: String(motivoLimite).trim(), por: firmaUsuario(req.usuario, torneo), fecha: new Date() } };
+}
+
+// Bitácora del torneo con cada partido que se jugó por encima del límite
+async function registrarExcepcionLimite(torneo, partida, sesion) {
+    await torneosCollection.updateOne(
+        { _id: torneo._id },
+        {
+            $push: {
+                excepcionesLimite: {
+                    partidoId: partida._id,
+                    jugador1: partida.jugador1,
+                    jugador2: partida.jugador2,
+                    ...partida.excepcionLimite
+                }
+            }
+        },
+        { session: sesion }
+    );
+}
+
+/**
+ * Partidas mínimas para poder clasificar.
+ * En "liga_sorteo" es un porcentaje de las partidas posibles:
+ * (inscritos - 1) rivales x límite de enfrentamientos.
+ * Si no, el mínimo que configuró el organizador (0 = todos clasifican).
+ */
+function partidasMinimas(torneo) {
+    const porcentaje = torneo.reglas?.minimoPartidasPorcentaje;
+
+    if (torneo.tipo === 'liga_sorteo' && porcentaje) {
+        const rivales = Math.max((torneo.jugadores_inscritos || []).length - 1, 0);
+        const posibles = rivales * limiteEnfrentamientos(torneo);
+        return Math.ceil(posibles * porcentaje / 100);
+    }
+
+    // Los torneos creados antes de configurar el mínimo seguían la regla de la liga web (32)
+    return torneo.reglas?.limite_partidas ?? 0;
+}
+
+/**
+ * Lugares de reemplazo detrás de los clasificados (los que entran si alguien falta).
+ */
+function reemplazosDe(torneo) {
+    return torneo.reglas?.reemplazos ?? 2;
+}
+
+// Clave única para un par de jugadores (sin importar el orden)
+function clavePareja(a, b) {
+    return [String(a), String(b)].sort().join('|');
+}
+
+/**
+ * Empareja al azar a los disponibles sin pasarse del límite de enfrentamientos.
+ * Prueba varias barajadas y se queda con la que deja menos gente sin rival.
+ * A cada jugador le busca, entre los posibles, a uno con quien se haya visto menos.
+ */
+function sortearParejas(disponibles, conteoEnfrentamientos, limite, intentos = 50) {
+    let mejor = { parejas: [], sinRival: [...disponibles] };
+
+    for (let intento = 0; intento < intentos && mejor.sinRival.length > 1; intento++) {
+        const bolsa = [...disponibles].sort(() => Math.random() - 0.5);
+        const parejas = [];
+        const sinRival = [];
+
+        while (bolsa.length > 0) {
+            const jugador = bolsa.shift();
+            const veces = (rival) => conteoEnfrentamientos[clavePareja(jugador, rival)] || 0;
+
+            const posibles = bolsa.filter(rival => veces(rival) < limite);
+            if (posibles.length === 0) {
+                sinRival.push(jugador);
+                continue;
+            }
+
+            const menosVisto = Math.min(...posibles.map(veces));
+            const candidatos = posibles.filter(rival => veces(rival) === menosVisto);
+            const rival = candidatos[Math.floor(Math.random() * candidatos.length)];
+
+            bolsa.splice(bolsa.indexOf(rival), 1);
+            parejas.push([jugador, rival]);
+        }
+
+        if (sinRival.length < mejor.sinRival.length) mejor = { parejas, sinRival };
+    }
+
+    return mejor;
+}
+
+// A. REALIZAR UN SORTEO DE PARTIDOS
+app.post('/api/torneos/sorteo', verificarToken, requierePermiso('reglas'), async (req, res) => {
+    try {
+        const { torneoId, jugadoresDisponibles } = req.body;
+        if (!torneoId) return res.status(400).json({ error: 'Falta el torneo.' });
+
+        const torneo = req.torneo;
+        if (torneo.tipo !== 'liga_sorteo') {
+            return res.status(400).json({ error: 'El sorteo sólo aplica a torneos "liga_sorteo".' });
+        }
+        if (reglasCongeladas(torneo)) {
+            return res.status(400).json({ error: `La liga ya cerró (torneo ${estadoTorneo(torneo)}): no se sortean más partidos.` });
+        }
+
+        const inscritos = (torneo.jugadores_inscritos || []).map(j => j.id);
+
+        // 1. ¿Quiénes están presentes? (Por defecto, todos los inscritos)
+        let presentes = inscritos;
+        if (Array.isArray(jugadoresDisponibles) && jugadoresDisponibles.length > 0) {
+            presentes = jugadoresDisponibles.map(String).filter(id => inscritos.includes(id));
+        }
+
+        // 2. Contamos enfrentamientos previos (jugados y ya programados)
+        const partidas = await historialCollection.find({ torneo_id: torneo._id, fase: { $ne: 'final' }, estado: { $ne: 'anulado' } }).toArray();
+        const conteo = {};
+        const ocupados = new Set();
+        partidas.forEach(p => {
+            const clave = clavePareja(p.jugador1, p.jugador2);
+            conteo[clave] = (conteo[clave] || 0) + 1;
+            if (p.estado === 'programado') {
+                ocupados.add(String(p.jugador1));
+                ocupados.add(String(p.jugador2));
+            }
+        });
+
+        // Quien ya tiene un partido sorteado sin jugar, no entra a este sorteo
+        const disponibles = presentes.filter(id => !ocupados.has(id));
+        if (disponibles.length < 2) {
+            return res.status(400).json({ error: 'No hay suficientes jugadores disponibles para sortear.' });
+        }
+
+        const limite = limiteEnfrentamientos(torneo);
+        const { parejas, sinRival } = sortearParejas(disponibles, conteo, limite);
+
+        if (parejas.length === 0) {
+            return res.status(400).json({ error: 'Todos los disponibles ya llegaron al límite de enfrentamientos entre sí.' });
+        }
+
+        // 3. Guardamos los partidos sorteados como programados
+        const numeroSorteo = (torneo.sorteosRealizados || 0) + 1;
+        const partidos = parejas.map(([jugador1, jugador2]) => ({
+            torneo_id: torneo._id,
+            jugador1,
+            jugador2,
+            puntaje1: null,
+            puntaje2: null,
+            ganadorId: null,
+            fecha: null,
+            tipo: 'sorteo',
+            estado: 'programado',
+            sorteo: numeroSorteo,
+            sorteadoEn: new Date()
+        }));
+
+        await historialCollection.insertMany(partidos);
+        await torneosCollection.updateOne({ _id: torneo._id }, { $inc: { sorteosRealizados: 1 } });
+
+        const nombresMap = {};
+        torneo.jugadores_inscritos.forEach(j => { nombresMap[String(j.id)] = j.nombre; });
+
+        res.json({
+            message: `Sorteo #${numeroSorteo} realizado.`,
+            partidos: partidos.map(p => ({
+                _id: p._id,
+                jugador1: { id: p.jugador1, nombre: nombresMap[p.jugador1] },
+                jugador2: { id: p.jugador2, nombre: nombresMap[p.jugador2] }
+            })),
+            sinRival: sinRival.map(id => ({ id, nombre: nombresMap[id] })),
+            limiteEnfrentamientos: limite
+        });
+
+    } catch (error) {
+        console.error('🔥 Error en sorteo:', error);
+        res.status(500).json({ error: 'Error interno al sortear.' });
+    }
+});
+
+
+
+// ==========================================
+// ⚖️ HANDICAP: METAS DE CARAMBOLAS POR RANGO
+// ==========================================
+
+/**
+ * Meta individual de cada jugador para un partido.
+ * El rango 1 es la categoría más fuerte; el de rango mayor (más débil) juega a
+ * carambolasMeta - ventajaPorRango x diferencia de rangos. El fuerte juega a la meta completa.
+ */
+function metasPartido(torneo, jugador1Id, jugador2Id) {
+    const meta = torneo.reglas?.carambolasMeta || 30;
+    if (!torneo.reglas?.usaHandicap) return { meta1: meta, meta2: meta };
+
+    const ventaja = torneo.reglas.ventajaPorRango || 0;
+    const rangoDe = (id) => {
+        const jugador = (torneo.jugadores_inscritos || []).find(j => String(j.id) === String(id));
+        return (jugador && jugador.rango) || 1;
+    };
+
+    const r1 = rangoDe(jugador1Id);
+    const r2 = rangoDe(jugador2Id);
+
+    // Nadie puede quedar con meta menor a 1 carambola
+    return {
+        meta1: Math.max(meta - ventaja * Math.max(r1 - r2, 0), 1),
+        meta2: Math.max(meta - ventaja * Math.max(r2 - r1, 0), 1)
+    };
+}
+
+// A. ASIGNAR RANGO / CATEGORÍA A UN INSCRITO
+app.post('/api/torneos/asignar-rango', verificarToken, requierePermiso('inscripciones'), async (req, res) => {
+    try {
+        const { torneoId, jugadorId, rango } = req.body;
+        const nuevoRango = parseInt(rango);
+
+        if (!torneoId || !jugadorId || !nuevoRango || nuevoRango < 1) {
+            return res.status(400).json({ error: 'Indica torneo, jugador y un rango válido (1 o mayor).' });
+        }
+
+        const torneo = req.torneo;
+        const inscrito = (torneo.jugadores_inscritos || []).find(j => j.id === jugadorId);
+        if (!inscrito) return res.status(404).json({ error: 'Jugador no inscrito en ese torneo.' });
+
+        // El rango mueve las metas del handicap: cuenta como cambio de reglas
+        const { auditoria, error, status } = revisarCambioReglas(req, torneo,
+            { rango: { jugadorId, rango: nuevoRango } }, { rango: { jugadorId, rango: inscrito.rango || 1 } });
+        if (error) return res.status(status).json({ error });
+
+        const operacion = { $set: { "jugadores_inscritos.$.rango": nuevoRango } };
+        if (auditoria) operacion.$push = { auditoriaReglas: auditoria };
+
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            await torneosCollection.updateOne({ _id: torneo._id, "jugadores_inscritos.id": jugadorId }, operacion, { session: sesion });
+            await registrarCambioReglas(torneo, req.usuario, { rango: { jugadorId, rango: nuevoRango } }, {
+                motivo: req.body.motivo || null,
+                anteriores: { rangosAnteriores: rangosDe(torneo) }
+            }, sesion);
+            return { cuerpo: { message: 'Rango actualizado.', jugadorId, rango: nuevoRango } };
+        });
+        responderOperacion(res, respuesta);
+
+    } catch (error) {
+        console.error('🔥 Error al asignar rango:', error);
+        res.status(500).json({ error: 'Error interno al asignar rango.' });
+    }
+});
+
+
+
+// ==========================================
+// 🔴 MARCADOR EN VIVO (ENTRADA POR ENTRADA)
+// ==========================================
+// Un partido en vivo es un documento de historialPartidas con estado 'en_juego'.
+// Cada entrada (turno) guarda las carambolas hechas; al llegar a la meta se cierra
+// solo y pasa por guardarResultadoTorneo como cualquier otro resultado.
+
+/**
+ * Promedio general del billar: carambolas / entradas (no por partido).
+ */
+function promedioGeneral(carambolas, entradas) {
+    return entradas > 0 ? (carambolas / entradas).toFixed(3) : "0.000";
+}
+
+/**
+ * Resume el registro de entradas: total, número de entradas y serie mayor por jugador.
+ */
+function resumenEntradas(partida) {
+    const resumen = (id) => {
+        const mias = (partida.registroEntradas || []).filter(e => e.jugadorId === id);
+        return {
+            carambolas: mias.reduce((suma, e) => suma + e.carambolas, 0),
+            entradas: mias.length,
+            serieMayor: mias.reduce((max, e) => Math.max(max, e.carambolas), 0)
+        };
+    };
+
+    const j1 = resumen(partida.jugador1);
+    const j2 = resumen(partida.jugador2);
+    const ultima = (partida.registroEntradas || []).slice(-1)[0];
+
+    return {
+        jugador1: { id: partida.jugador1, meta: partida.meta1, ...j1, promedioGeneral: promedioGeneral(j1.carambolas, j1.entradas) },
+        jugador2: { id: partida.jugador2, meta: partida.meta2, ...j2, promedioGeneral: promedioGeneral(j2.carambolas, j2.entradas) },
+        // Los turnos se alternan: le toca al que no tiró la última entrada
+        turnoDe: ultima ? (ultima.jugadorId === partida.jugador1 ? partida.jugador2 : partida.jugador1) : null
+    };
+}
+
+// A. ABRIR UN PARTIDO EN UNA MESA
+app.post('/api/partidos/en-vivo/abrir', verificarToken, requierePermiso('resultados'), async (req, res) => {
+    try {
+        const { torneoId, jugador1Id, jugador2Id, mesa, partidoId } = req.body;
+
+        if (!torneoId || !jugador1Id || !jugador2Id) {
+            return res.status(400).json({ error: 'Faltan datos de los jugadores o torneo.' });
+        }
+        if (jugador1Id === jugador2Id) {
+            return res.status(400).json({ error: 'Un jugador no puede jugar contra sí mismo.' });
+        }
+
+        const torneo = req.torneo;
+        if (!admiteResultados(torneo)) {
+            return res.status(400).json({ error: `El torneo está ${estadoTorneo(torneo)}: ya no acepta partidos.` });
+        }
+
+        const inscritos = (torneo.jugadores_inscritos || []).map(j => j.id);
+        if (!inscritos.includes(jugador1Id) || !inscritos.includes(jugador2Id)) {
+            return res.status(400).json({ error: 'Ambos jugadores deben estar inscritos en el torneo.' });
+        }
+        if (torneo.faseFinal && !buscarPartidoLlave(torneo.faseFinal.partidos, jugador1Id, jugador2Id)) {
+            return res.status(400).json({ error: 'La fase de liga está cerrada y este enfrentamiento no está pendiente en la llave.' });
+        }
+
+        const morosos = await morososDelPartido(torneo, [jugador1Id, jugador2Id]);
+        if (morosos.length > 0) {
+            return res.status(403).json({ error: 'Hay jugadores con saldo pendiente.', morosos });
+        }
+
+        // Límite de enfrentamientos (se revisa al abrir para no jugar un partido que no contaría)
+        let excepcionLimite = null;
+        if (!torneo.faseFinal) {
+            const { excepcion, error, status } = excepcionDeLimite(req, torneo);
+            if (error) return res.status(status).json({ error });
+            const limite = await revisarLimiteEnfrentamientos(torneo, jugador1Id, jugador2Id, { excepcion });
+            if (limite.error) return res.status(limite.status).json({ error: limite.error, enfrentamientos: limite.enfrentamientos });
+            excepcionLimite = limite.excepcion || null;
+        }
+
+        // Nadie puede estar en dos mesas a la vez
+        const yaJugando = await historialCollection.findOne({
+            torneo_id: torneo._id,
+            estado: 'en_juego',
+            $or: [
+                { jugador1: { $in: [jugador1Id, jugador2Id] } },
+                { jugador2: { $in: [jugador1Id, jugador2Id] } }
+            ]
+        });
+        if (yaJugando) {
+            return res.status(400).json({ error: 'Uno de los jugadores ya tiene un partido en vivo.', partidoId: yaJugando._id });
+        }
+
+        const { meta1, meta2 } = metasPartido(torneo, jugador1Id, jugador2Id);
+        const enVivo = {
+            estado: 'en_juego',
+            meta1,
+            meta2,
+            registroEntradas: [],
+            abiertoEn: new Date(),
+            abiertoPor: req.usuario.nombre
+        };
+        if (excepcionLimite) enVivo.excepcionLimite = excepcionLimite;
+
+        // Si ya estaba programado (calendario / sorteo), lo usamos; si no, lo creamos
+        const filtroProgramado = partidoId
+            ? { _id: new ObjectId(partidoId), torneo_id: torneo._id, estado: 'programado' }
+            : {
+                torneo_id: torneo._id,
+                estado: 'programado',
+                $or: [
+                    { jugador1: jugador1Id, jugador2: jugador2Id },
+                    { jugador1: jugador2Id, jugador2: jugador1Id }
+                ]
+            };
+        const programado = torneo.faseFinal && !partidoId
+            ? null
+            : await historialCollection.findOne(filtroProgramado, { sort: { ronda: 1, juego: 1 } });
+
+        if (partidoId && !programado) {
+            return res.status(404).json({ error: 'Ese partido no está pendiente en el calendario.' });
+        }
+
+        // La mesa: la que mandan, o la que el gestor de mesas ya le había asignado
+        enVivo.mesa = parseInt(mesa) || (programado && programado.mesa) || null;
+        if (enVivo.mesa) {
+            const ocupada = await historialCollection.findOne({
+                torneo_id: torneo._id,
+                estado: { $in: ['programado', 'en_juego'] },
+                mesa: enVivo.mesa,
+                _id: { $ne: programado ? programado._id : null }
+            });
+            if (ocupada) return res.status(400).json({ error: `La mesa ${enVivo.mesa} está ocupada.` });
+        }
+
+        let partida;
+        if (programado) {
+            await historialCollection.updateOne(
+                { _id: programado._id },
+                { $set: { ...enVivo, jugador1: jugador1Id, jugador2: jugador2Id } }
+            );
+            partida = { ...programado, ...enVivo, jugador1: jugador1Id, jugador2: jugador2Id };
+        } else {
+            partida = {
+                torneo_id: torneo._id,
+                jugador1: jugador1Id,
+                jugador2: jugador2Id,
+                puntaje1: null,
+                puntaje2: null,
+                ganadorId: null,
+                fecha: null,
+                tipo: 'en_vivo',
+                ...enVivo
+            };
+            await historialCollection.insertOne(partida);
+        }
+
+        if (excepcionLimite) await registrarExcepcionLimite(torneo, partida);
+        emitirEvento(torneoId, 'en_vivo', { partidoId: partida._id, mesa: partida.mesa, marcador: resumenEntradas(partida) });
+
+        res.json({ message: 'Partido abierto.', partida });
+
+    } catch (error) {
+        console.error('🔥 Error al abrir partido en vivo:', error);
+        res.status(500).json({ error: 'Error interno al abrir el partido.' });
+    }
+});
+
+// B. ANOTAR UNA ENTRADA (Jugador + carambolas hechas en su turno)
+app.post('/api/partidos/en-vivo/entrada', verificarToken, async (req, res) => {
+    try {
+        const { partidoId, jugadorId, carambolas } = req.body;
+        const hechas = parseInt(carambolas);
+
+        if (!partidoId || !jugadorId || isNaN(hechas) || hechas < 0) {
+            return res.status(400).json({ error: 'Indica partido, jugador y carambolas (0 o más).' });
+        }
+
+        const partida = await historialCollection.findOne({ _id: new ObjectId(partidoId), estado: 'en_juego' });
+        if (!partida) return res.status(404).json({ error: 'No hay un partido en vivo con ese ID.' });
+
+        const torneo = await torneosCollection.findOne({ _id: partida.torneo_id });
+        if (!tienePermiso(req.usuario, torneo, 'resultados')) {
+            return res.status(403).json({ error: 'No tienes permiso sobre este torneo.' });
+        }
+
+        if (![partida.jugador1, partida.jugador2].includes(jugadorId)) {
+            return res.status(400).json({ error: 'Ese jugador no está en este partido.' });
+        }
+
+        const antes = resumenEntradas(partida);
+        if (antes.turnoDe && antes.turnoDe !== jugadorId) {
+            return res.status(400).json({ error: 'No es el turno de ese jugador.' });
+        }
+
+        const entrada = {
+            numero: (partida.registroEntradas || []).length + 1,
+            jugadorId,
+            carambolas: hechas,
+            fecha: new Date(),
+            registradoPor: firmaUsuario(req.usuario, torneo)
+        };
+        partida.registroEntradas = [...(partida.registroEntradas || []), entrada];
+
+        // Nadie puede pasarse de su meta
+        const ahora = resumenEntradas(partida);
+        const mio = jugadorId === partida.jugador1 ? ahora.jugador1 : ahora.jugador2;
+        if (mio.carambolas > mio.meta) {
+            return res.status(400).json({ error: `Con esa entrada se pasa de su meta (${mio.meta}).` });
+        }
+
+        // ¿Llegó a la meta? Cerramos el partido con el mismo flujo que registrar-manual
+        if (mio.carambolas === mio.meta) {
+            // El torneo se relee dentro: si otra mesa cerró un partido de la llave, avanzamos sobre lo suyo
+            const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+                const actual = await torneosCollection.findOne({ _id: torneo._id }, { session: sesion });
+                const resultado = await guardarResultadoTorneo(actual, {
+                    jugador1Id: partida.jugador1,
+                    jugador2Id: partida.jugador2,
+                    puntaje1: ahora.jugador1.carambolas,
+                    puntaje2: ahora.jugador2.carambolas,
+                    serie1: ahora.jugador1.serieMayor,
+                    serie2: ahora.jugador2.serieMayor,
+                    partidoId: partida._id.toString(),
+                    registradoPor: firmaUsuario(req.usuario, actual),
+                    extra: {
+                        tipo: 'en_vivo',
+                        registroEntradas: partida.registroEntradas,
+                        entradas1: ahora.jugador1.entradas,
+                        entradas2: ahora.jugador2.entradas,
+                        cerradoEn: new Date()
+                    }
+                }, sesion);
+                if (resultado.error) {
+                    return { status: resultado.status, cuerpo: { error: resultado.error, enfrentamientos: resultado.enfrentamientos } };
+                }
+                return {
+                    cuerpo: { message: 'Partido terminado. ' + resultado.mensaje, terminado: true, partida: resultado.partida, marcador: ahora },
+                    despues: resultado.despues
+                };
+            });
+
+            return responderOperacion(res, respuesta);
+        }
+
+        await historialCollection.updateOne(
+            { _id: partida._id, estado: 'en_juego' },
+            { $push: { registroEntradas: entrada } }
+        );
+
+        emitirEvento(String(partida.torneo_id), 'entrada', { partidoId: partida._id, mesa: partida.mesa, entrada, marcador: ahora });
+
+        res.json({ message: 'Entrada anotada.', terminado: false, entrada, marcador: ahora });
+
+    } catch (error) {
+        console.error('🔥 Error al anotar entrada:', error);
+        res.status(500).json({ error: 'Error interno al anotar la entrada.' });
+    }
+});
+
+// C. CONSULTAR UN PARTIDO EN VIVO
+app.get('/api/partidos/en-vivo/:id', async (req, res) => {
+    try {
+        const partida = await historialCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!partida || !partida.registroEntradas) {
+            return res.status(404).json({ error: 'Partido en vivo no encontrado.' });
+        }
+
+        res.json({
+            _id: partida._id,
+            estado: partida.estado,
+            mesa: partida.mesa,
+            registroEntradas: partida.registroEntradas,
+            marcador: resumenEntradas(partida)
+        });
+
+    } catch (error) {
+        res.status(500).json({ error: 'Error al consultar el partido.' });
+    }
+});
+
+// D. PARTIDOS EN JUEGO DE UN TORNEO (Para el tablero)
+app.get('/api/torneos/:id/en-vivo', async (req, res) => {
+    try {
+        const partidas = await historialCollection
+            .find({ torneo_id: new ObjectId(req.params.id), estado: 'en_juego' })
+            .sort({ mesa: 1 })
+            .toArray();
+
+        res.json(partidas.map(p => ({ _id: p._id, mesa: p.mesa, marcador: resumenEntradas(p) })));
+
+    } catch (error) {
+        res.status(500).json({ error: 'Error al cargar los partidos en vivo.' });
+    }
+});
+
+
+
+// ==========================================
+// 📺 TIEMPO REAL: EVENTOS (SSE) Y MODO TV
+// ==========================================
+// Los espectadores se suscriben por torneo y el servidor les "empuja" cada cambio.
+// Usamos Server-Sent Events: funcionan con HTTP normal y el navegador se reconecta solo.
+
+// canal (ID del torneo o 'general' para la Web Clásica) -> Set de respuestas abiertas
+const suscriptores = new Map();
+const CANAL_TABLA_GENERAL = 'general';
+
+function emitirEvento(canal, tipo, datos) {
+    const abiertos = suscriptores.get(String(canal));
+    if (!abiertos || abiertos.size === 0) return;
+
+    const mensaje = `event: ${tipo}\ndata: ${JSON.stringify({ tipo, ...datos, enviadoEn: new Date() })}\n\n`;
+    abiertos.forEach(res => res.write(mensaje));
+}
+
+/**
+ * Filas públicas del ranking de un torneo (sin teléfonos).
+ */
+async function filasRankingTorneo(torneo) {
+    const ranking = await tablaTorneo(torneo);
+    return ranking.map((j, index) => ({
+        posicion: index + 1,
+        id: j.id,
+        nombre: j.nombre,
+        puntos: j.puntos || 0,
+        jugadas: j.partidosJugados || 0,
+        ganadas: j.victorias || 0,
+        perdidas: j.derrotas || 0,
+        carambolas: j.carambolas || 0,
+        carambolasEnContra: j.carambolasEnContra,
+        promedioGeneral: promedioGeneral(j.carambolas || 0, j.entradas || 0),
+        decididoPor: j.decididoPor
+    }));
+}
+
+async function filasTablaGeneral() {
+    return (await rankingTablaGeneral()).map((j, index) => ({
+        posicion: index + 1,
+        nombre: j.nombre,
+        puntos: j.puntos || 0,
+        jugadas: j.partidasJugadas || 0,
+        ganadas: j.ganadas || 0,
+        decididoPor: j.decididoPor
+    }));
+}
+
+/**
+ * Avisa a los suscriptores de un torneo, con el ranking ya actualizado.
+ * Nunca debe tumbar la operación que lo llamó: los errores sólo se registran.
+ */
+async function notificarTorneo(torneoId, tipo, datos = {}) {
+    try {
+        const abiertos = suscriptores.get(String(torneoId));
+        if (!abiertos || abiertos.size === 0) return;
+
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) });
+        if (!torneo) return;
+
+        emitirEvento(torneoId, tipo, { ...datos, reglas: torneo.reglas, ranking: await filasRankingTorneo(torneo) });
+    } catch (error) {
+        console.error('⚠️ No se pudo notificar a los espectadores:', error.message);
+    }
+}
+
+async function notificarTablaGeneral(tipo, datos = {}) {
+    try {
+        const abiertos = suscriptores.get(CANAL_TABLA_GENERAL);
+        if (!abiertos || abiertos.size === 0) return;
+
+        emitirEvento(CANAL_TABLA_GENERAL, tipo, { ...datos, ranking: await filasTablaGeneral() });
+    } catch (error) {
+        console.error('⚠️ No se pudo notificar a los espectadores:', error.message);
+    }
+}
+
+/**
+ * Deja abierta la respuesta HTTP como flujo SSE y la registra en el canal.
+ */
+function abrirFlujoEventos(req, res, canal, datosIniciales) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    if (!suscriptores.has(canal)) suscriptores.set(canal, new Set());
+    suscriptores.get(canal).add(res);
+
+    res.write(`event: conectado\ndata: ${JSON.stringify({ tipo: 'conectado', ...datosIniciales })}\n\n`);
+
+    // Latido para que proxies y celulares no corten la conexión
+    const latido = setInterval(() => res.write(': latido\n\n'), 25000);
+
+    req.on('close', () => {
+        clearInterval(latido);
+        suscriptores.get(canal).delete(res);
+        if (suscriptores.get(canal).size === 0) suscriptores.delete(canal);
+    });
+}
+
+// A. SUSCRIPCIÓN A UN TORNEO
+app.get('/api/torneos/:id/eventos', async (req, res) => {
+    try {
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+
+        abrirFlujoEventos(req, res, String(torneo._id), {
+            torneo: torneo.nombre,
+            reglas: torneo.reglas,
+            ranking: await filasRankingTorneo(torneo)
+        });
+
+    } catch (error) {
+        res.status(500).json({ error: 'Error al abrir la suscripción.' });
+    }
+});
+
+// B. SUSCRIPCIÓN A LA TABLA GENERAL (Web Clásica)
+app.get('/api/tabla-general/eventos', async (req, res) => {
+    try {
+        abrirFlujoEventos(req, res, CANAL_TABLA_GENERAL, {
+            torneo: 'Tabla General',
+            ranking: await filasTablaGeneral()
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error al abrir la suscripción.' });
+    }
+});
+
+// C. MODO TV (Pantalla pública para el billar)
+app.get(['/tv', '/tv/:torneoId'], (req, res) => {
+    const { torneoId } = req.params;
+    if (torneoId && !ObjectId.isValid(torneoId)) return res.status(404).send(wrapHTML('<h1>Torneo no encontrado</h1>'));
+
+    const urlEventos = torneoId ? `/api/torneos/${torneoId}/eventos` : '/api/tabla-general/eventos';
+    // Va dentro de un <script>: como literal JSON y sin "<" que pueda cerrar la etiqueta
+    const urlEnScript = JSON.stringify(urlEventos).replace(/</g, '\\u003c');
+
+    res.send(wrapHTML(`
+        <h1 id="tv-titulo">📺 Cargando...</h1>
+        <div id="tv-ultimo" style="font-size: 1.4em; margin-bottom: 15px;"></div>
+        <table class="leaderboard">
+            <thead>
+                <tr><th>Pos</th><th>Nombre</th><th>Pts</th><th>Jugadas</th><th>Ganadas</th></tr>
+            </thead>
+            <tbody id="tv-ranking"></tbody>
+        </table>
+        <div id="tv-vivo" style="margin-top: 20px;"></div>
+
+        <script>
+            const titulo = document.getElementById('tv-titulo');
+            const ultimo = document.getElementById('tv-ultimo');
+            const cuerpo = document.getElementById('tv-ranking');
+            const vivo = document.getElementById('tv-vivo');
+            const mesas = {};
+
+            const escapar = (texto) => String(texto ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+            const nombreDe = (id) => (ranking.find(f => f.id === id) || {}).nombre || '';
+            let ranking = [];
+
+            function pintarRanking(filas) {
+                ranking = filas || [];
+                cuerpo.innerHTML = ranking.map(f =>
+                    '<tr><td>' + f.posicion + '</td><td>' + escapar(f.nombre) + '</td><td>' + f.puntos +
+                    '</td><td>' + f.jugadas + '</td><td>' + f.ganadas + '</td></tr>'
+                ).join('');
+            }
+
+            function pintarVivo() {
+                vivo.innerHTML = Object.values(mesas).map(m =>
+                    '<div class="tv-mesa">🎱 Mesa ' + escapar(m.mesa || '-') + ': ' +
+                    escapar(nombreDe(m.marcador.jugador1.id)) + ' <b>' + m.marcador.jugador1.carambolas + '/' + m.marcador.jugador1.meta + '</b> vs <b>' +
+                    m.marcador.jugador2.carambolas + '/' + m.marcador.jugador2.meta + '</b> ' + escapar(nombreDe(m.marcador.jugador2.id)) + '</div>'
+                ).join('');
+            }
+
+            const fuente = new EventSource(${urlEnScript});
+
+            fuente.addEventListener('conectado', (e) => {
+                const datos = JSON.parse(e.data);
+                titulo.textContent = '🏆 ' + datos.torneo;
+                pintarRanking(datos.ranking);
+            });
+
+            fuente.addEventListener('partido', (e) => {
+                const datos = JSON.parse(e.data);
+                pintarRanking(datos.ranking);
+                if (datos.partida) {
+                    const p = datos.partida;
+                    delete mesas[p._id];
+                    ultimo.textContent = '✅ ' + nombreDe(p.jugador1) + ' ' + p.puntaje1 + ' - ' + p.puntaje2 + ' ' + nombreDe(p.jugador2);
+                } else if (datos.ganador) {
+                    ultimo.textContent = '✅ ' + datos.ganador + ' ganó a ' + datos.perdedor;
+                }
+                pintarVivo();
+            });
+
+            ['en_vivo', 'entrada'].forEach(tipo => fuente.addEventListener(tipo, (e) => {
+                const datos = JSON.parse(e.data);
+                mesas[datos.partidoId] = datos;
+                pintarVivo();
+            }));
+
+            ['inscripcion', 'reglas', 'deshacer'].forEach(tipo => fuente.addEventListener(tipo, (e) => {
+                pintarRanking(JSON.parse(e.data).ranking);
+            }));
+        </script>
+    `));
+});
+
+
+
+// ==========================================
+// 🎱 GESTIÓN DE MESAS Y COLA DE ESPERA
+// ==========================================
+// Una mesa está ocupada si tiene un partido asignado (programado) o en juego.
+// Al registrar el resultado el partido pasa a 'jugado' y la mesa queda libre sola.
+
+/**
+ * Mapa actual de mesas del torneo + quiénes están jugando o asignados.
+ */
+async function mapaMesas(torneo) {
+    const total = torneo.configuracion?.mesas || 0;
+    const activos = await historialCollection.find({
+        torneo_id: torneo._id,
+        estado: { $in: ['programado', 'en_juego'] },
+        mesa: { $ne: null }
+    }).toArray();
+
+    const nombresMap = {};
+    (torneo.jugadores_inscritos || []).forEach(j => { nombresMap[String(j.id)] = j.nombre; });
+    const conNombre = (id) => ({ id, nombre: nombresMap[String(id)] || '⚠️ ' + String(id).slice(-4) });
+
+    const mesas = [];
+    for (let numero = 1; numero <= total; numero++) {
+        const partido = activos.find(p => p.mesa === numero);
+        mesas.push({
+            numero,
+            estado: !partido ? 'libre' : (partido.estado === 'en_juego' ? 'en_juego' : 'asignada'),
+            partido: partido ? { _id: partido._id, jugador1: conNombre(partido.jugador1), jugador2: conNombre(partido.jugador2) } : null
+        });
+    }
+
+    const ocupados = new Set();
+    activos.forEach(p => { ocupados.add(String(p.jugador1)); ocupados.add(String(p.jugador2)); });
+
+    const cola = (torneo.colaEspera || []).map(c => ({ ...conNombre(c.jugadorId), desde: c.desde }));
+
+    return { mesas, cola, ocupados, conNombre };
+}
+
+// A. VER MESAS, COLA Y PRÓXIMOS PARTIDOS (Organizadores y jugadores)
+app.get('/api/torneos/:id/mesas', verificarToken, async (req, res) => {
+    try {
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+
+        const { mesas, cola, conNombre } = await mapaMesas(torneo);
+
+        // Lo que sigue en el calendario, para que cada quien sepa cuándo le toca
+        const proximos = await historialCollection
+            .find({ torneo_id: torneo._id, estado: 'programado', mesa: null })
+            .sort({ ronda: 1, juego: 1 })
+            .limit(20)
+            .toArray();
+
+        res.json({
+            total_mesas: mesas.length,
+            libres: mesas.filter(m => m.estado === 'libre').length,
+            mesas,
+            cola,
+            proximos: proximos.map(p => ({ _id: p._id, ronda: p.ronda, jugador1: conNombre(p.jugador1), jugador2: conNombre(p.jugador2) }))
+        });
+
+    } catch (error) {
+        console.error('🔥 Error al leer mesas:', error);
+        res.status(500).json({ error: 'Error al cargar las mesas.' });
+    }
+});
+
+// B. ENTRAR / SALIR DE LA COLA DE ESPERA ("Ya estoy listo")
+app.post('/api/torneos/mesas/cola', verificarToken, async (req, res) => {
+    try {
+        const { torneoId, jugadorId, salir } = req.body;
+        if (!torneoId || !jugadorId) return res.status(400).json({ error: 'Indica torneo y jugador.' });
+
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) });
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+        const inscrito = (torneo.jugadores_inscritos || []).find(j => j.id === jugadorId);
+        if (!inscrito) {
+            return res.status(400).json({ error: 'Ese jugador no está inscrito.' });
+        }
+
+        // El staff con permiso de resultados mueve a cualquiera; un jugador solo a sí mismo
+        if (!tienePermiso(req.usuario, torneo, 'resultados')) {
+            const yo = await inscritoDelUsuario(torneo, req.usuario.id);
+            if (!yo || yo.id !== inscrito.id) {
+                return res.status(403).json({ error: 'Solo puedes anotarte tú mismo en la cola.' });
+            }
+        }
+
+        if (salir) {
+            await torneosCollection.updateOne({ _id: torneo._id }, { $pull: { colaEspera: { jugadorId } } });
+            return res.json({ message: 'Jugador fuera de la cola.' });
+        }
+
+        if ((torneo.colaEspera || []).some(c => c.jugadorId === jugadorId)) {
+            return res.status(400).json({ error: 'El jugador ya está en la cola.' });
+        }
+
+        await torneosCollection.updateOne(
+            { _id: torneo._id },
+            { $push: { colaEspera: { jugadorId, desde: new Date() } } }
+        );
+
+        res.json({ message: 'Jugador en la cola de espera.' });
+
+    } catch (error) {
+        console.error('🔥 Error en cola:', error);
+        res.status(500).json({ error: 'Error al actualizar la cola.' });
+    }
+});
+
+// C. ASIGNAR PARTIDOS PENDIENTES A LAS MESAS LIBRES
+app.post('/api/torneos/mesas/asignar', verificarToken, requierePermiso('resultados'), async (req, res) => {
+    try {
+        const { torneoId, soloListos } = req.body;
+        const torneo = req.torneo;
+        if (!torneo.configuracion?.mesas) {
+            return res.status(400).json({ error: 'El torneo no tiene mesas configuradas.' });
+        }
+
+        const { mesas, ocupados } = await mapaMesas(torneo);
+        const libres = mesas.filter(m => m.estado === 'libre').map(m => m.numero);
+
+        // Prioridad: primero los partidos donde ambos están en la cola (el que más esperó),
+        // luego el orden del calendario
+        const espera = {};
+        (torneo.colaEspera || []).forEach(c => { espera[c.jugadorId] = new Date(c.desde).getTime(); });
+        const listos = (p) => espera[p.jugador1] !== undefined && espera[p.jugador2] !== undefined;
+
+        const pendientes = await historialCollection
+            .find({ torneo_id: torneo._id, estado: 'programado', mesa: null })
+            .sort({ ronda: 1, juego: 1 })
+            .toArray();
+
+        const candidatos = pendientes
+            .filter(p => !soloListos || listos(p))
+            .sort((a, b) => {
+                if (listos(a) !== listos(b)) return listos(a) ? -1 : 1;
+                if (listos(a)) return Math.max(espera[a.jugador1], espera[a.jugador2]) - Math.max(espera[b.jugador1], espera[b.jugador2]);
+                return 0;
+            });
+
+        const asignados = [];
+        for (const partido of candidatos) {
+            if (libres.length === 0) break;
+            if (ocupados.has(partido.jugador1) || ocupados.has(partido.jugador2)) continue;
+
+            const mesa = libres.shift();
+            await historialCollection.updateOne(
+                { _id: partido._id, estado: 'programado' },
+                { $set: { mesa, asignadoEn: new Date() } }
+            );
+            ocupados.add(partido.jugador1);
+            ocupados.add(partido.jugador2);
+            asignados.push({ partidoId: partido._id, mesa, jugador1: partido.jugador1, jugador2: partido.jugador2 });
+        }
+
+        // Quien ya tiene mesa sale de la cola
+        if (asignados.length > 0) {
+            const conMesa = asignados.flatMap(a => [a.jugador1, a.jugador2]);
+            await torneosCollection.updateOne(
+                { _id: torneo._id },
+                { $pull: { colaEspera: { jugadorId: { $in: conMesa } } } }
+            );
+        }
+
+        const actualizado = await torneosCollection.findOne({ _id: torneo._id });
+        const mapa = await mapaMesas(actualizado);
+        emitirEvento(String(torneo._id), 'mesas', { mesas: mapa.mesas, cola: mapa.cola });
+
+        res.json({ message: `${asignados.length} partidos asignados.`, asignados, mesas: mapa.mesas, cola: mapa.cola });
+
+    } catch (error) {
+        console.error('🔥 Error al asignar mesas:', error);
+        res.status(500).json({ error: 'Error al asignar mesas.' });
+    }
+});
+
+// D. LIBERAR UNA MESA (Cancelar una asignación que no se jugó)
+app.post('/api/torneos/mesas/liberar', verificarToken, requierePermiso('resultados'), async (req, res) => {
+    try {
+        const { torneoId, mesa } = req.body;
+        const numero = parseInt(mesa);
+        if (!torneoId || !numero) return res.status(400).json({ error: 'Indica torneo y mesa.' });
+
+        // Sólo se liberan asignaciones; un partido en juego se cierra con su resultado
+        const resultado = await historialCollection.updateOne(
+            { torneo_id: new ObjectId(torneoId), estado: 'programado', mesa: numero },
+            { $set: { mesa: null, asignadoEn: null } }
+        );
+
+        if (resultado.matchedCount === 0) {
+            return res.status(400).json({ error: 'Esa mesa no tiene una asignación pendiente.' });
+        }
+
+        emitirEvento(torneoId, 'mesas', { mesaLiberada: numero });
+        res.json({ message: `Mesa ${numero} liberada.` });
+
+    } catch (error) {
+        console.error('🔥 Error al liberar mesa:', error);
+        res.status(500).json({ error: 'Error al liberar la mesa.' });
+    }
+});
+
+
+
+// ==========================================
+// 💵 PAGOS: INSCRIPCIONES, PARTIDAS Y CORTE DE CAJA
+// ==========================================
+
+const METODOS_PAGO = ['efectivo', 'transferencia'];
+const CONCEPTOS_PAGO = ['inscripcion', 'partida', 'abono'];
+
+/**
+ * Estado de cuenta de cada inscrito:
+ * cargos = inscripción (precio) + precioPorPartida x partidas jugadas (tope: maxPartidasPagadas).
+ * Los torneos amistosos no cobran nada.
+ */
+function estadoCuenta(torneo, pagos) {
+    const reglas = torneo.reglas || {};
+    const pagadoPor = {};
+    pagos.forEach(p => { pagadoPor[p.jugador_id] = (pagadoPor[p.jugador_id] || 0) + p.monto; });
+
+    return (torneo.jugadores_inscritos || []).map(j => {
+        const inscripcion = torneo.esAmistoso ? 0 : (torneo.precio || 0);
+        const partidasCobrables = Math.min(j.partidosJugados || 0, reglas.maxPartidasPagadas || 0);
+        const partidas = torneo.esAmistoso ? 0 : partidasCobrables * (reglas.precioPorPartida || 0);
+        const pagado = pagadoPor[j.id] || 0;
+
+        return {
+            jugadorId: j.id,
+            nombre: j.nombre,
+            cargos: { inscripcion, partidas, partidasCobradas: partidasCobrables, total: inscripcion + partidas },
+            pagado,
+            saldo: Math.max(inscripcion + partidas - pagado, 0)
+        };
+    });
+}
+
+/**
+ * Jugadores del partido que deben dinero (sólo si el torneo bloquea a los morosos).
+ */
+async function morososDelPartido(torneo, ids) {
+    if (!torneo.reglas?.bloquearMorosos || torneo.esAmistoso) return [];
+
+    const pagos = await pagosCollection.find({ torneo_id: torneo._id, jugador_id: { $in: ids } }).toArray();
+    return estadoCuenta(torneo, pagos)
+        .filter(c => ids.includes(c.jugadorId) && c.saldo > 0)
+        .map(c => ({ id: c.jugadorId, nombre: c.nombre, saldo: c.saldo }));
+}
+
+/**
+ * Agrupa pagos por método y por concepto (para los cortes de caja).
+ */
+function resumenCaja(pagos) {
+    const resumen = { total: 0, movimientos: pagos.length, porMetodo: {}, porConcepto: {} };
+    pagos.forEach(p => {
+        resumen.total += p.monto;
+        resumen.porMetodo[p.metodo] = (resumen.porMetodo[p.metodo] || 0) + p.monto;
+        resumen.porConcepto[p.concepto] = (resumen.porConcepto[p.concepto] || 0) + p.monto;
+    });
+    return resumen;
+}
+
+// Rango de fechas de los reportes (?desde=2025-01-01&hasta=2025-01-31)
+function filtroFechas(desde, hasta) {
+    if (!desde && !hasta) return {};
+    const fecha = {};
+    if (desde) fecha.$gte = new Date(desde);
+    if (hasta) {
+        const fin = new Date(hasta);
+        fin.setHours(23, 59, 59, 999);
+        fecha.$lte = fin;
+    }
+    return { fecha };
+}
+
+// A. REGISTRAR UN PAGO
+app.post('/api/torneos/pagos/registrar', verificarToken, requierePermiso('pagos'), async (req, res) => {
+    try {
+        const { torneoId, jugadorId, monto, metodo, concepto, referencia } = req.body;
+        const cantidad = parseFloat(monto);
+
+        if (!torneoId || !jugadorId || !cantidad || cantidad <= 0) {
+            return res.status(400).json({ error: 'Indica torneo, jugador y un monto mayor a 0.' });
+        }
+        if (!METODOS_PAGO.includes(metodo)) {
+            return res.status(400).json({ error: `Método inválido. Usa: ${METODOS_PAGO.join(', ')}.` });
+        }
+        const conceptoFinal = concepto || 'abono';
+        if (!CONCEPTOS_PAGO.includes(conceptoFinal)) {
+            return res.status(400).json({ error: `Concepto inválido. Usa: ${CONCEPTOS_PAGO.join(', ')}.` });
+        }
+        if (metodo === 'transferencia' && !referencia) {
+            return res.status(400).json({ error: 'Las transferencias necesitan una referencia.' });
+        }
+
+        const torneo = req.torneo;
+        if (!(torneo.jugadores_inscritos || []).some(j => j.id === jugadorId)) {
+            return res.status(400).json({ error: 'Ese jugador no está inscrito.' });
+        }
+
+        const pago = {
+            torneo_id: torneo._id,
+            organizador_id: torneo.organizador_id,
+            jugador_id: jugadorId,
+            monto: cantidad,
+            metodo,
+            concepto: conceptoFinal,
+            referencia: referencia || null,
+            registradoPor: { id: req.usuario.id, nombre: req.usuario.nombre },
+            fecha: new Date()
+        };
+        await pagosCollection.insertOne(pago);
+
+        const pagos = await pagosCollection.find({ torneo_id: torneo._id, jugador_id: jugadorId }).toArray();
+        const cuenta = estadoCuenta(torneo, pagos).find(c => c.jugadorId === jugadorId);
+
+        res.json({ message: 'Pago registrado.', pago, cuenta });
+
+    } catch (error) {
+        console.error('🔥 Error al registrar pago:', error);
+        res.status(500).json({ error: 'Error interno al registrar el pago.' });
+    }
+});
+
+// B. SALDOS DEL TORNEO (Quién debe qué)
+app.get('/api/torneos/:id/pagos', verificarToken, requierePermiso('pagos'), async (req, res) => {
+    try {
+        const torneo = req.torneo;
+
+        const pagos = await pagosCollection.find({ torneo_id: torneo._id }).sort({ fecha: -1 }).toArray();
+        const cuentas = estadoCuenta(torneo, pagos);
+
+        res.json({
+            torneo: torneo.nombre,
+            esAmistoso: torneo.esAmistoso,
+            bloquearMorosos: !!torneo.reglas?.bloquearMorosos,
+            total_adeudado: cuentas.reduce((suma, c) => suma + c.saldo, 0),
+            cuentas,
+            pagos
+        });
+
+    } catch (error) {
+        console.error('🔥 Error al leer pagos:', error);
+        res.status(500).json({ error: 'Error al cargar los pagos.' });
+    }
+});
+
+// C. CONFIGURAR COBROS (Precio por partida y bloqueo de morosos)
+app.post('/api/torneos/pagos/configurar', verificarToken, requierePermiso('pagos'), async (req, res) => {
+    try {
+        const { bloquearMorosos, precioPartida, maxPagos } = req.body;
+        const torneo = req.torneo;
+
+        const updateData = {};
+        if (bloquearMorosos !== undefined) updateData['reglas.bloquearMorosos'] = bloquearMorosos === true || bloquearMorosos === 'true';
+        if (precioPartida !== undefined) updateData['reglas.precioPorPartida'] = parseFloat(precioPartida) || 0;
+        if (maxPagos !== undefined) updateData['reglas.maxPartidasPagadas'] = parseInt(maxPagos) || 0;
+        if (Object.keys(updateData).length === 0) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+
+        const { auditoria, error, status } = revisarCambioReglas(req, torneo, updateData);
+        if (error) return res.status(status).json({ error });
+        const operacion = { $set: updateData };
+        if (auditoria) operacion.$push = { auditoriaReglas: auditoria };
+
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            await torneosCollection.updateOne({ _id: torneo._id }, operacion, { session: sesion });
+            await registrarCambioReglas(torneo, req.usuario, updateData, { motivo: req.body.motivo || null }, sesion);
+            return { cuerpo: { message: 'Cobros actualizados.', cambios: updateData } };
+        });
+        responderOperacion(res, respuesta);
+
+    } catch (error) {
+        console.error('🔥 Error al configurar cobros:', error);
+        res.status(500).json({ error: 'Error al configurar cobros.' });
+    }
+});
+
+// D. CORTE DE CAJA DEL TORNEO (?desde=&hasta=)
+app.get('/api/torneos/:id/corte-caja', verificarToken, requierePermiso('pagos'), async (req, res) => {
+    try {
+        const torneo = req.torneo;
+
+        const pagos = await pagosCollection
+            .find({ torneo_id: torneo._id, ...filtroFechas(req.query.desde, req.query.hasta) })
+            .sort({ fecha: 1 })
+            .toArray();
+
+        // Corte por día
+        const porDia = {};
+        pagos.forEach(p => {
+            const dia = new Date(p.fecha).toISOString().slice(0, 10);
+            (porDia[dia] = porDia[dia] || []).push(p);
+        });
+
+        res.json({
+            torneo: torneo.nombre,
+            ...resumenCaja(pagos),
+            porDia: Object.entries(porDia).map(([dia, delDia]) => ({ dia, ...resumenCaja(delDia) }))
+        });
+
+    } catch (error) {
+        console.error('🔥 Error en corte de caja:', error);
+        res.status(500).json({ error: 'Error al generar el corte de caja.' });
+    }
+});
+
+// E. CORTE DE CAJA DEL ORGANIZADOR (Todos sus torneos)
+app.get('/api/pagos/corte-organizador', verificarToken, async (req, res) => {
+    try {
+        if (req.usuario.rol !== 'organizador' && req.usuario.rol !== 'admin') {
+            return res.status(403).json({ error: 'No autorizado' });
+        }
+
+        const pagos = await pagosCollection
+            .find({ organizador_id: new ObjectId(req.usuario.id), ...filtroFechas(req.query.desde, req.query.hasta) })
+            .toArray();
+
+        const torneos = await torneosCollection
+            .find({ organizador_id: new ObjectId(req.usuario.id) }, { projection: { nombre: 1 } })
+            .toArray();
+
+        res.json({
+            organizador: req.usuario.nombre,
+            ...resumenCaja(pagos),
+            porTorneo: torneos.map(t => ({
+                torneoId: t._id,
+                nombre: t.nombre,
+                ...resumenCaja(pagos.filter(p => String(p.torneo_id) === String(t._id)))
+            }))
+        });
+
+    } catch (error) {
+        console.error('🔥 Error en corte del organizador:', error);
+        res.status(500).json({ error: 'Error al generar el corte.' });
+    }
+});
+
+
+
+// ==========================================
+// 🥇 BOLSA DE PREMIOS Y REPARTO
+// ==========================================
+
+const TIPOS_REPARTO = ['porcentaje', 'fijo'];
+
+/**
+ * Posiciones finales del torneo.
+ * Si la llave ya tiene campeón, mandan los resultados de la llave (quien cae
+ * antes queda más abajo; a igual ronda, la mejor semilla); si no, el ranking de liga
+ * (las partidas de liga hacen falta para los desempates).
+ */
+function posicionesFinales(torneo, partidas) {
+    const llave = torneo.faseFinal;
+
+    if (llave && llave.campeonId) {
+        const semillaDe = {};
+        llave.clasificados.forEach(c => { semillaDe[c.id] = c.semilla; });
+
+        const orden = [llave.campeonId];
+        for (let ronda = llave.totalRondas; ronda >= 1; ronda--) {
+            const perdedores = llave.partidos
+                .filter(p => p.ronda === ronda && p.estado === 'jugado' && p.jugador1 && p.jugador2)
+                .map(p => (p.ganadorId === p.jugador1 ? p.jugador2 : p.jugador1))
+                .sort((a, b) => semillaDe[a] - semillaDe[b]);
+            orden.push(...perdedores);
+        }
+
+        const nombresMap = {};
+        (torneo.jugadores_inscritos || []).forEach(j => { nombresMap[j.id] = j.nombre; });
+        return { fuente: 'llave', posiciones: orden.map(id => ({ id, nombre: nombresMap[id] })) };
+    }
+
+    const minimo = partidasMinimas(torneo);
+    const elegibles = proyectarTabla(torneo, partidas).filter(j => j.partidosJugados >= minimo);
+    return { fuente: 'ranking', posiciones: rankingInscritos(torneo, elegibles, partidas).map(j => ({ id: j.id, nombre: j.nombre })) };
+}
+
+/**
+ * Calcula la bolsa (precio x inscritos), lo que se queda la casa y el monto de cada lugar.
+ */
+function calcularPremios(torneo, partidas) {
+    const config = torneo.configuracion?.premios || { porcentajeCasa: 0, tipoReparto: 'porcentaje', valores: [100] };
+    const inscritos = (torneo.jugadores_inscritos || []).length;
+
+    const bolsa = torneo.esAmistoso ? 0 : (torneo.precio || 0) * inscritos;
+    const casa = Math.round(bolsa * (config.porcentajeCasa || 0)) / 100;
+    const neto = bolsa - casa;
+
+    const { fuente, posiciones } = posicionesFinales(torneo, partidas);
+    const pagados = torneo.premiosPagados || [];
+
+    const reparto = (config.valores || []).map((valor, i) => {
+        const monto = config.tipoReparto === 'fijo' ? valor : Math.round(neto * valor) / 100;
+        const pago = pagados.find(p => p.posicion === i + 1);
+        return {
+            posicion: i + 1,
+            monto,
+            jugador: posiciones[i] || null,
+            pagado: pago || null
+        };
+    });
+
+    const repartido = reparto.reduce((suma, r) => suma + r.monto, 0);
+
+    return {
+        bolsa,
+        porcentajeCasa: config.porcentajeCasa || 0,
+        casa,
+        neto,
+        tipoReparto: config.tipoReparto,
+        excedeBolsa: repartido > neto,
+        fuente,
+        definitivo: fuente === 'llave' || torneo.estado === 'finalizado',
+        reparto
+    };
+}
+
+// A. CONFIGURAR REPARTO (Ej: porcentaje [50, 30, 20] o fijo [3000, 1500])
+app.post('/api/torneos/premios/configurar', verificarToken, requierePermiso('reglas'), async (req, res) => {
+    try {
+        const { porcentajeCasa, tipoReparto, valores } = req.body;
+        const casa = parseFloat(porcentajeCasa) || 0;
+        const tipo = tipoReparto || 'porcentaje';
+        const lista = Array.isArray(valores) ? valores.map(v => parseFloat(v) || 0) : [];
+
+        if (casa < 0 || casa > 100) return res.status(400).json({ error: 'El porcentaje de la casa debe estar entre 0 y 100.' });
+        if (!TIPOS_REPARTO.includes(tipo)) {
+            return res.status(400).json({ error: `Tipo de reparto inválido. Usa: ${TIPOS_REPARTO.join(', ')}.` });
+        }
+        if (lista.length === 0 || lista.some(v => v <= 0)) {
+            return res.status(400).json({ error: 'Indica al menos un lugar premiado con valor mayor a 0.' });
+        }
+        if (tipo === 'porcentaje' && lista.reduce((a, b) => a + b, 0) > 100) {
+            return res.status(400).json({ error: 'Los porcentajes no pueden sumar más de 100.' });
+        }
+
+        const premios = { porcentajeCasa: casa, tipoReparto: tipo, valores: lista };
+        const torneo = req.torneo;
+        const { auditoria, error, status } = revisarCambioReglas(req, torneo,
+            { 'configuracion.premios': premios }, { 'configuracion.premios': torneo.configuracion?.premios || null });
+        if (error) return res.status(status).json({ error });
+
+        const operacion = { $set: { 'configuracion.premios': premios } };
+        if (auditoria) operacion.$push = { auditoriaReglas: auditoria };
+
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            await torneosCollection.updateOne({ _id: torneo._id }, operacion, { session: sesion });
+            await registrarCambioReglas(torneo, req.usuario, { 'configuracion.premios': premios }, {
+                motivo: req.body.motivo || null,
+                anteriores: { premiosAnteriores: torneo.configuracion?.premios || null }
+            }, sesion);
+            return { cuerpo: { message: 'Reparto de premios configurado.', premios } };
+        });
+        responderOperacion(res, respuesta);
+
+    } catch (error) {
+        console.error('🔥 Error al configurar premios:', error);
+        res.status(500).json({ error: 'Error al configurar premios.' });
+    }
+});
+
+// B. VER BOLSA Y REPARTO (Jugadores y organizadores)
+app.get('/api/torneos/:id/premios', verificarToken, async (req, res) => {
+    try {
+        const torneo = await torneosCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+
+        res.json({ torneo: torneo.nombre, ...calcularPremios(torneo, await partidasParaRanking(torneo)) });
+
+    } catch (error) {
+        console.error('🔥 Error al calcular premios:', error);
+        res.status(500).json({ error: 'Error al calcular premios.' });
+    }
+});
+
+// C. REGISTRAR EL PAGO DE UN PREMIO
+app.post('/api/torneos/premios/pagar', verificarToken, requierePermiso('pagos'), async (req, res) => {
+    try {
+        const { torneoId, posicion, metodo, referencia } = req.body;
+        const lugar = parseInt(posicion);
+
+        const torneo = req.torneo;
+
+        const premios = calcularPremios(torneo, await partidasParaRanking(torneo));
+        if (!premios.definitivo) {
+            return res.status(400).json({ error: 'Los premios se pagan cuando el torneo tiene resultado final.' });
+        }
+
+        const premio = premios.reparto.find(r => r.posicion === lugar);
+        if (!premio || !premio.jugador) return res.status(400).json({ error: 'Ese lugar no tiene premio o jugador.' });
+        if (premio.pagado) return res.status(400).json({ error: 'Ese premio ya fue pagado.' });
+        if (!METODOS_PAGO.includes(metodo)) {
+            return res.status(400).json({ error: `Método inválido. Usa: ${METODOS_PAGO.join(', ')}.` });
+        }
+
+        const pago = {
+            posicion: lugar,
+            jugadorId: premio.jugador.id,
+            nombre: premio.jugador.nombre,
+            monto: premio.monto,
+            metodo,
+            referencia: referencia || null,
+            pagadoPor: req.usuario.nombre,
+            fecha: new Date()
+        };
+
+        // El "no pagado" va en el filtro: dos toques seguidos no pagan dos veces el mismo lugar
+        const { modifiedCount } = await torneosCollection.updateOne(
+            { _id: torneo._id, 'premiosPagados.posicion': { $ne: lugar } },
+            { $push: { premiosPagados: pago } }
+        );
+        if (modifiedCount === 0) return res.status(409).json({ error: 'Ese premio ya fue pagado.' });
+
+        res.json({ message: `Premio del lugar ${lugar} pagado a ${pago.nombre}.`, pago });
+
+    } catch (error) {
+        console.error('🔥 Error al pagar premio:', error);
+        res.status(500).json({ error: 'Error al registrar el premio.' });
+    }
+});
+
+
+
+// ==========================================
+// 🤝 DELEGADOS: CO-ORGANIZADORES Y ÁRBITROS
+// ==========================================
+// El dueño invita a otros usuarios (por teléfono) a ayudarle en un torneo.
+// Cada invitación lleva sus permisos; al revocarla o reemplazarla (otra invitación
+// al mismo usuario) se conserva en la lista para saber quién capturó qué.
+
+const ROLES_DELEGADO = {
+    coorganizador: ['resultados', 'inscripciones', 'reglas', 'pagos'],
+    arbitro: ['resultados']
+};
+
+// A. INVITAR (o actualizar permisos de) UN DELEGADO
+app.post('/api/torneos/delegados/invitar', verificarToken, requierePermiso('propietario'), async (req, res) => {
+    try {
+        const { telefono, rol = 'arbitro', permisos } = req.body;
+        const torneo = req.torneo;
+
+        if (!telefono) return res.status(400).json({ error: 'Indica el teléfono del usuario a invitar.' });
+        if (!ROLES_DELEGADO[rol]) {
+            return res.status(400).json({ error: `Rol inválido. Usa: ${Object.keys(ROLES_DELEGADO).join(', ')}.` });
+        }
+
+        // Permisos pedidos, recortados a lo que el rol permite
+        const pedidos = Array.isArray(permisos) && permisos.length > 0 ? permisos : ROLES_DELEGADO[rol];
+        const invalidos = pedidos.filter(p => !ROLES_DELEGADO[rol].includes(p));
+        if (invalidos.length > 0) {
+            return res.status(400).json({ error: `Un ${rol} no puede tener: ${invalidos.join(', ')}.` });
+        }
+
+        const invitado = await usuariosCollection.findOne({ telefono });
+        if (!invitado) return res.status(404).json({ error: 'Ese teléfono no tiene cuenta registrada.' });
+        if (esPropietario({ id: invitado._id, rol: invitado.rol }, torneo)) {
+            return res.status(400).json({ error: 'Ese usuario ya administra el torneo.' });
+        }
+
+        const delegado = {
+            usuario_id: invitado._id,
+            nombre: invitado.nombre,
+            telefono,
+            rol,
+            permisos: pedidos,
+            estado: 'activa',
+            invitadoPor: { id: req.usuario.id, nombre: req.usuario.nombre },
+            invitadoEn: new Date()
+        };
+
+        // Una sola invitación activa por usuario: la anterior queda como reemplazada (las viejas se conservan)
+        await torneosCollection.updateOne(
+            { _id: torneo._id, delegados: { $elemMatch: { usuario_id: invitado._id, estado: 'activa' } } },
+            {
+                $set: {
+                    'delegados.$.estado': 'reemplazada',
+                    'delegados.$.reemplazadaEn': new Date(),
+                    'delegados.$.reemplazadaPor': { id: req.usuario.id, nombre: req.usuario.nombre }
+                }
+            }
+        );
+        await torneosCollection.updateOne({ _id: torneo._id }, { $push: { delegados: delegado } });
+
+        res.json({ message: `${invitado.nombre} ahora es ${rol} del torneo.`, delegado });
+
+    } catch (error) {
+        console.error('🔥 Error al invitar delegado:', error);
+        res.status(500).json({ error: 'Error al invitar delegado.' });
+    }
+});
+
+// B. REVOCAR UNA INVITACIÓN
+app.post('/api/torneos/delegados/revocar', verificarToken, requierePermiso('propietario'), async (req, res) => {
+    try {
+        const { usuarioId } = req.body;
+        const torneo = req.torneo;
+
+        const activo = (torneo.delegados || []).find(d => d.usuario_id.toString() === usuarioId && d.estado === 'activa');
+        if (!activo) return res.status(404).json({ error: 'Ese usuario no tiene una invitación activa.' });
+
+        await torneosCollection.updateOne(
+            { _id: torneo._id, delegados: { $elemMatch: { usuario_id: activo.usuario_id, estado: 'activa' } } },
+            {
+                $set: {
+                    'delegados.$.estado': 'revocada',
+                    'delegados.$.revocadaEn': new Date(),
+                    'delegados.$.revocadaPor': { id: req.usuario.id, nombre: req.usuario.nombre }
+                }
+            }
+        );
+
+        res.json({ message: `Se revocó el acceso de ${activo.nombre}.` });
+
+    } catch (error) {
+        console.error('🔥 Error al revocar delegado:', error);
+        res.status(500).json({ error: 'Error al revocar delegado.' });
+    }
+});
+
+// C. VER DELEGADOS (activos y revocados)
+app.get('/api/torneos/:id/delegados', verificarToken, requierePermiso('propietario'), async (req, res) => {
+    res.json({ roles: ROLES_DELEGADO, delegados: req.torneo.delegados || [] });
+});
+
+// ==========================================
+// 🔔 NOTIFICACIONES A JUGADORES
+// ==========================================
+// Avisos guardados para la App (el jugador los consulta al entrar).
+// Se ligan al usuario por el teléfono con que se inscribió.
+
+async function notificarJugadores(torneo, jugadorIds, tipo, mensaje, datos = {}) {
+    try {
+        const inscritos = (torneo.jugadores_inscritos || []).filter(j => jugadorIds.includes(j.id));
+        if (inscritos.length === 0) return;
+
+        const telefonos = inscritos.map(j => j.telefono).filter(Boolean);
+        const usuarios = await usuariosCollection
+            .find({ telefono: { $in: telefonos } }, { projection: { telefono: 1 } })
+            .toArray();
+
+        await notificacionesCollection.insertMany(inscritos.map(j => ({
+            usuario_id: (usuarios.find(u => u.telefono === j.telefono) || {})._id || null,
+            telefono: j.telefono || null,
+            jugador_id: j.id,
+            torneo_id: torneo._id,
+            tipo,
+            mensaje,
+            datos,
+            leida: false,
+            fecha: new Date()
+        })));
+    } catch (error) {
+        // Un aviso que no sale no debe tumbar la operación que lo generó
+        console.error('🔥 Error al guardar notificaciones:', error);
+    }
+}
+
+// A. MIS NOTIFICACIONES
+app.get('/api/notificaciones', verificarToken, async (req, res) => {
+    try {
+        const yo = await usuariosCollection.findOne({ _id: new ObjectId(req.usuario.id) }, { projection: { telefono: 1 } });
+        const filtro = { $or: [{ usuario_id: new ObjectId(req.usuario.id) }] };
+        if (yo && yo.telefono) filtro.$or.push({ telefono: yo.telefono });
+        if (req.query.noLeidas === 'true') filtro.leida = false;
+
+        const notificaciones = await notificacionesCollection.find(filtro).sort({ fecha: -1 }).limit(100).toArray();
+        res.json(notificaciones);
+    } catch (error) {
+        console.error('🔥 Error al leer notificaciones:', error);
+        res.status(500).json({ error: 'Error al leer notificaciones.' });
+    }
+});
+
+// B. MARCAR COMO LEÍDAS
+app.post('/api/notificaciones/leer', verificarToken, async (req, res) => {
+    try {
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'Indica qué notificaciones marcar.' });
+
+        const yo = await usuariosCollection.findOne({ _id: new ObjectId(req.usuario.id) }, { projection: { telefono: 1 } });
+        const mias = [{ usuario_id: new ObjectId(req.usuario.id) }];
+        if (yo && yo.telefono) mias.push({ telefono: yo.telefono });
+
+        const { modifiedCount } = await notificacionesCollection.updateMany(
+            { _id: { $in: ids.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) }, $or: mias },
+            { $set: { leida: true } }
+        );
+        res.json({ message: `${modifiedCount} notificaciones leídas.` });
+    } catch (error) {
+        console.error('🔥 Error al marcar notificaciones:', error);
+        res.status(500).json({ error: 'Error al marcar notificaciones.' });
+    }
+});
+
+// ==========================================
+// ✏️ CORRECCIÓN Y ANULACIÓN DE PARTIDOS
+// ==========================================
+// Un resultado mal capturado se corrige (PATCH) o se anula (DELETE) siempre
+// con motivo. El partido no se borra: guarda en historialEdiciones cómo
+// estaba, y la tabla del torneo se ajusta restando lo viejo y sumando lo nuevo.
+
+// Lo que se guarda de un resultado antes de tocarlo
+function fotoResultado(partida) {
+    const { puntaje1, puntaje2, serie1, serie2, ganadorId, puntos1, puntos2, estado } = partida;
+    return { puntaje1, puntaje2, serie1, serie2, ganadorId, puntos1, puntos2, estado };
+}
+
+/**
+ * Carga el partido jugado y su torneo, y revisa permiso, estado y motivo.
+ * Devuelve { partida, torneo } o { error, status }.
+ */
+async function partidaParaCorregir(req) {
+    // Muchos clientes no mandan cuerpo en un DELETE: el motivo también vale como ?motivo=
+    const motivo = req.body?.motivo ?? req.query.motivo;
+    if (!ObjectId.isValid(req.params.id)) return { error: 'ID de partido inválido.', status: 400 };
+    if (!motivo || !String(motivo).trim()) return { error: 'Indica el motivo del cambio.', status: 400 };
+
+    const partida = await historialCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!partida || !partida.torneo_id) return { error: 'Partido de torneo no encontrado.', status: 404 };
+    if (partida.estado === 'anulado') return { error: 'Ese partido ya fue anulado.', status: 400 };
+    if (['pendiente', 'disputado'].includes(partida.estado)) {
+        return { error: 'Ese resultado espera confirmación: resuélvelo con /resolver.', status: 400 };
+    }
+    if (ESTADOS_SIN_RESULTADO.includes(partida.estado)) {
+        return { error: 'Ese partido todavía no tiene resultado.', status: 400 };
+    }
+
+    const torneo = await torneosCollection.findOne({ _id: partida.torneo_id });
+    if (!torneo) return { error: 'Torneo no encontrado.', status: 404 };
+    if (!tienePermiso(req.usuario, torneo, 'resultados')) {
+        return { error: 'No tienes permiso sobre este torneo.', status: 403 };
+    }
+    if (!admiteResultados(torneo)) {
+        return { error: `El torneo está ${estadoTorneo(torneo)}: ya no se pueden cambiar resultados.`, status: 400 };
+    }
+
+    return { partida, torneo, motivo: String(motivo).trim() };
+}
+
+// Con lo que sumaban las partidas de torneo antes de las reglas por torneo (3 ganar, 1 perder, 1 cada uno en empate)
+const REGLAS_ANTERIORES = { puntos_ganar: 3, puntos_perder: 1, puntos_empatar: 1, permiteEmpates: true };
+
+/**
+ * Lo que la partida sumó a la tabla de liga, listo para restarlo (null si no sumó).
+ * Las partidas viejas no guardan sus puntos: se les devuelven los que sumaron entonces
+ * (REGLAS_ANTERIORES), no una estimación con las reglas de hoy. recalcular-stats las repuntúa.
+ */
+function partidaPuntuada(torneo, partida) {
+    if (partida.fase === 'final') return null;
+    const calculo = normalizarPartida(partida);
+    if (calculo.puntos1 !== undefined) return calculo;
+    return puntuarPartida(reglasPuntuacion(REGLAS_ANTERIORES), calculo) ? calculo : null;
+}
+
+// A. CORREGIR MARCADOR
+app.patch('/api/partidos/:id', verificarToken, async (req, res) => {
+    try {
+        const { partida: leida, torneo, motivo, error, status } = await partidaParaCorregir(req);
+        if (error) return res.status(status).json({ error });
+
+        const { puntaje1, puntaje2, serie1, serie2 } = req.body;
+
+        // Tabla, partido y bitácora en una sola transacción (el partido se relee dentro)
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            const partida = await historialCollection.findOne({ _id: leida._id }, { session: sesion });
+            if (!partida || ESTADOS_SIN_RESULTADO.includes(partida.estado)) {
+                return { status: 409, cuerpo: { error: 'El partido cambió mientras tanto. Vuelve a cargarlo.' } };
+            }
+
+            const nuevo = {
+                puntaje1: puntaje1 !== undefined ? parseInt(puntaje1) || 0 : partida.puntaje1,
+                puntaje2: puntaje2 !== undefined ? parseInt(puntaje2) || 0 : partida.puntaje2,
+                serie1: serie1 !== undefined ? parseInt(serie1) || null : partida.serie1,
+                serie2: serie2 !== undefined ? parseInt(serie2) || null : partida.serie2
+            };
+
+            // Mismas reglas que al registrar, con las metas que tenía el partido
+            const metas = partida.meta1 && partida.meta2 ? { meta1: partida.meta1, meta2: partida.meta2 } : null;
+            const decision = decidirResultado(torneo, partida.jugador1, partida.jugador2, nuevo.puntaje1, nuevo.puntaje2, metas);
+            if (decision.error) return { status: 400, cuerpo: { error: decision.error } };
+
+            // En la llave el ganador ya avanzó: solo se corrige el marcador
+            if (partida.fase === 'final' && decision.ganadorId !== partida.ganadorId) {
+                return { status: 400, cuerpo: { error: 'Ese cambio altera al ganador de un partido de la llave; no se puede corregir aquí.' } };
+            }
+
+            const corregida = { ...partida, ...nuevo, ganadorId: decision.ganadorId };
+            if (partida.fase !== 'final') puntuarPartida(reglasPuntuacion(torneo.reglas), corregida);
+
+            const edicion = {
+                accion: 'corregida',
+                motivo,
+                por: firmaUsuario(req.usuario, torneo),
+                fecha: new Date(),
+                antes: fotoResultado(partida),
+                despues: fotoResultado(corregida)
+            };
+
+            // Tabla: fuera lo viejo, dentro lo nuevo
+            const vieja = partidaPuntuada(torneo, partida);
+            if (vieja) await aplicarEstadisticasTorneo(torneo._id, vieja, -1, sesion);
+            await historialCollection.updateOne(
+                { _id: partida._id },
+                {
+                    $set: { ...nuevo, ganadorId: corregida.ganadorId, puntos1: corregida.puntos1, puntos2: corregida.puntos2 },
+                    $push: { historialEdiciones: edicion }
+                },
+                { session: sesion }
+            );
+            await registrarEvento('corregida', { partida: corregida, motivo, por: edicion.por, fecha: edicion.fecha }, sesion);
+            const nueva = partidaPuntuada(torneo, corregida);
+            if (nueva) await aplicarEstadisticasTorneo(torneo._id, nueva, 1, sesion);
+
+            return {
+                cuerpo: { message: 'Partido corregido y tabla actualizada.', edicion },
+                despues: async () => {
+                    await recalcularSerieMayor(torneo._id, [partida.jugador1, partida.jugador2]);
+                    await revertirRatings(partida._id);
+                    await actualizarRatings(corregida, torneo);
+
+                    await notificarTorneo(torneo._id, 'correccion', { partidoId: partida._id, ...edicion });
+                    await notificarJugadores(torneo, [partida.jugador1, partida.jugador2], 'partido_corregido',
+                        `Se corrigió tu partido en ${torneo.nombre}: ${nuevo.puntaje1}-${nuevo.puntaje2}. Motivo: ${motivo}`,
+                        { partidoId: partida._id, antes: edicion.antes, despues: edicion.despues });
+                }
+            };
+        });
+
+        responderOperacion(res, respuesta);
+
+    } catch (error) {
+        console.error('🔥 Error al corregir partido:', error);
+        res.status(500).json({ error: 'Error al corregir el partido.' });
+    }
+});
+
+// B. ANULAR PARTIDO (deja de contar, pero queda en el historial)
+app.delete('/api/partidos/:id', verificarToken, async (req, res) => {
+    try {
+        const { partida: leida, torneo, motivo, error, status } = await partidaParaCorregir(req);
+        if (error) return res.status(status).json({ error });
+
+        if (leida.fase === 'final') {
+            return res.status(400).json({ error: 'Los partidos de la llave no se pueden anular: el ganador ya avanzó.' });
+        }
+
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            const partida = await historialCollection.findOne({ _id: leida._id }, { session: sesion });
+            if (!partida || ESTADOS_SIN_RESULTADO.includes(partida.estado)) {
+                return { status: 409, cuerpo: { error: 'El partido cambió mientras tanto. Vuelve a cargarlo.' } };
+            }
+
+            const edicion = {
+                accion: 'anulada',
+                motivo,
+                por: firmaUsuario(req.usuario, torneo),
+                fecha: new Date(),
+                antes: fotoResultado(partida)
+            };
+
+            const vieja = partidaPuntuada(torneo, partida);
+            if (vieja) await aplicarEstadisticasTorneo(torneo._id, vieja, -1, sesion);
+            await historialCollection.updateOne(
+                { _id: partida._id },
+                { $set: { estado: 'anulado', mesa: null }, $push: { historialEdiciones: edicion } },
+                { session: sesion }
+            );
+            await registrarEvento('anulada', { partida, motivo, por: edicion.por, fecha: edicion.fecha }, sesion);
+
+            return {
+                cuerpo: { message: 'Partido anulado y tabla actualizada.', edicion },
+                despues: async () => {
+                    await recalcularSerieMayor(torneo._id, [partida.jugador1, partida.jugador2]);
+                    await revertirRatings(partida._id);
+
+                    await notificarTorneo(torneo._id, 'anulacion', { partidoId: partida._id, ...edicion });
+                    await notificarJugadores(torneo, [partida.jugador1, partida.jugador2], 'partido_anulado',
+                        `Se anuló tu partido en ${torneo.nombre} (${partida.puntaje1}-${partida.puntaje2}). Motivo: ${motivo}`,
+                        { partidoId: partida._id, antes: edicion.antes });
+                }
+            };
+        });
+
+        responderOperacion(res, respuesta);
+
+    } catch (error) {
+        console.error('🔥 Error al anular partido:', error);
+        res.status(500).json({ error: 'Error al anular el partido.' });
+    }
+});
+
+// ==========================================
+// ✅ CONFIRMACIÓN DE RESULTADOS POR LOS JUGADORES
+// ==========================================
+// Modo opcional por torneo (reglas.confirmacion):
+//   ninguna → el resultado cuenta en cuanto se registra (como siempre)
+//   rival   → basta con que confirme un jugador distinto de quien lo subió
+//   ambos   → deben confirmar los dos jugadores (quien lo subió ya cuenta)
+// Mientras tanto el partido queda 'pendiente' y no suma a la tabla. Si nadie
+// responde antes de que venza el plazo, se confirma solo. Un 'disputado' no
+// vence: espera a que el organizador lo resuelva. La llave final no usa este modo.
+
+const MODOS_CONFIRMACION = ['ninguna', 'rival', 'ambos'];
+const HORAS_CONFIRMACION = 24;
+
+function modoConfirmacion(torneo) {
+    return torneo.reglas?.confirmacion?.modo || 'ninguna';
+}
+
+/**
+ * El inscrito que corresponde a un usuario de la App (por su cuenta; las inscripciones viejas, por teléfono).
+ */
+async function inscritoDelUsuario(torneo, usuarioId) {
+    const inscritos = torneo.jugadores_inscritos || [];
+    const porCuenta = inscritos.find(j => j.usuario_id === String(usuarioId));
+    if (porCuenta) return porCuenta;
+
+    const usuario = await usuariosCollection.findOne({ _id: new ObjectId(usuarioId) }, { projection: { telefono: 1 } });
+    if (!usuario || !usuario.telefono) return null;
+    return inscritos.find(j => j.telefono === usuario.telefono) || null;
+}
+
+function nuevaConfirmacion(torneo, partida, autorId) {
+    const modo = modoConfirmacion(torneo);
+    const jugadores = [partida.jugador1, partida.jugador2];
+    const requeridas = jugadores.filter(id => id !== autorId);
+    const horas = torneo.reglas?.confirmacion?.horas || HORAS_CONFIRMACION;
+
+    return {
+        modo,
+        requeridas,
+        minimo: modo === 'ambos' ? requeridas.length : 1,
+        confirmadas: autorId && jugadores.includes(autorId) ? [{ jugadorId: autorId, fecha: new Date() }] : [],
+        vence: new Date(Date.now() + horas * 60 * 60 * 1000),
+        disputa: null
+    };
+}
+
+function confirmacionCompleta(confirmacion) {
+    const validas = confirmacion.confirmadas.filter(c => confirmacion.requeridas.includes(c.jugadorId));
+    return validas.length >= confirmacion.minimo;
+}
+
+/**
+ * Pasa un resultado pendiente/disputado a 'jugado' y lo suma a la tabla (en una transacción).
+ * `como`: 'jugadores' | 'vencimiento' | 'organizador'. `edicion` queda en historialEdiciones
+ * (ej. si el organizador lo corrigió). Devuelve false si otro ya lo hizo.
+ */
+async function oficializarResultado(torneo, partida, como, cambios = {}, edicion = null) {
+    const oficial = { ...partida, ...cambios, estado: 'jugado' };
+
+    const { cuerpo } = await operacionAtomica(null, 'sistema', async (sesion) => {
+        const operacion = { $set: { ...cambios, estado: 'jugado', 'confirmacion.resueltaEn': new Date(), 'confirmacion.como': como } };
+        if (edicion) operacion.$push = { historialEdiciones: edicion };
+        const { modifiedCount } = await historialCollection.updateOne(
+            { _id: partida._id, estado: { $in: ['pendiente', 'disputado'] } },
+            operacion,
+            { session: sesion }
+        );
+        if (modifiedCount === 0) return { cuerpo: { oficializada: false } };
+
+        await registrarEvento('registrada', { partida: oficial, como }, sesion);
+        await aplicarEstadisticasTorneo(torneo._id, oficial, 1, sesion);
+        return {
+            cuerpo: { oficializada: true },
+            despues: async () => {
+                await actualizarRatings(oficial, torneo);
+                await notificarTorneo(torneo._id, 'partido', { partida: oficial });
+                await notificarJugadores(torneo, [partida.jugador1, partida.jugador2], 'resultado_confirmado',
+                    `Ya cuenta tu partido en ${torneo.nombre}: ${oficial.puntaje1}-${oficial.puntaje2}.`,
+                    { partidoId: partida._id, como });
+            }
+        };
+    });
+    return cuerpo.oficializada;
+}
+
+/**
+ * Confirma solos los resultados cuyo plazo ya venció (de un torneo o de todos).
+ * Si la liga ya cerró (fase final o torneo terminado) no se suman: pasan a 'disputado'
+ * para que el organizador decida.
+ */
+async function confirmarVencidos(torneoObjectId = null) {
+    const filtro = { estado: 'pendiente', 'confirmacion.vence': { $lte: new Date() } };
+    if (torneoObjectId) filtro.torneo_id = torneoObjectId;
+
+    const vencidas = await historialCollection.find(filtro).toArray();
+    const torneos = {};
+    let confirmadas = 0;
+    for (const partida of vencidas) {
+        const clave = String(partida.torneo_id);
+        if (!torneos[clave]) torneos[clave] = await torneosCollection.findOne({ _id: partida.torneo_id });
+        const torneo = torneos[clave];
+        if (!torneo) continue;
+
+        if (reglasCongeladas(torneo)) {
+            const disputa = { jugadorId: null, nombre: 'Sistema', motivo: `Venció sin confirmar con el torneo ${estadoTorneo(torneo)}.`, fecha: new Date() };
+            await historialCollection.updateOne(
+                { _id: partida._id, estado: 'pendiente' },
+                { $set: { estado: 'disputado', 'confirmacion.disputa': disputa } }
+            );
+            continue;
+        }
+        if (await oficializarResultado(torneo, partida, 'vencimiento')) confirmadas++;
+    }
+    return confirmadas;
+}
+
+// Partido esperando confirmación, con su torneo (o el error para responder)
+async function partidaPorConfirmar(id, estados = ['pendiente']) {
+    if (!ObjectId.isValid(id)) return { error: 'ID de partido inválido.', status: 400 };
+    const partida = await historialCollection.findOne({ _id: new ObjectId(id) });
+    if (!partida || !partida.confirmacion) return { error: 'Ese partido no espera confirmación.', status: 404 };
+    if (!estados.includes(partida.estado)) {
+        return { error: `Ese partido está ${partida.estado}: no se puede hacer eso.`, status: 400 };
+    }
+    const torneo = await torneosCollection.findOne({ _id: partida.torneo_id });
+    if (!torneo) return { error: 'Torneo no encontrado.', status: 404 };
+    return { partida, torneo };
+}
+
+// A. CONFIRMAR (lo hace el jugador desde la App)
+app.post('/api/partidos/:id/confirmar', verificarToken, async (req, res) => {
+    try {
+        const { partida, torneo, error, status } = await partidaPorConfirmar(req.params.id);
+        if (error) return res.status(status).json({ error });
+
+        const yo = await inscritoDelUsuario(torneo, req.usuario.id);
+        if (!yo || !partida.confirmacion.requeridas.includes(yo.id)) {
+            return res.status(403).json({ error: 'Este resultado no espera tu confirmación.' });
+        }
+        if (partida.confirmacion.confirmadas.some(c => c.jugadorId === yo.id)) {
+            return res.status(400).json({ error: 'Ya confirmaste este resultado.' });
+        }
+
+        const confirmacion = {
+            ...partida.confirmacion,
+            confirmadas: [...partida.confirmacion.confirmadas, { jugadorId: yo.id, fecha: new Date() }]
+        };
+        await historialCollection.updateOne({ _id: partida._id }, { $set: { confirmacion } });
+
+        if (confirmacionCompleta(confirmacion)) {
+            await oficializarResultado(torneo, { ...partida, confirmacion }, 'jugadores');
+            return res.json({ message: 'Resultado confirmado: ya cuenta en la tabla.', confirmado: true });
+        }
+
+        res.json({ message: 'Confirmación guardada; falta la del otro jugador.', confirmado: false });
+
+    } catch (error) {
+        console.error('🔥 Error al confirmar resultado:', error);
+        res.status(500).json({ error: 'Error al confirmar el resultado.' });
+    }
+});
+
+// B. DISPUTAR (el resultado pasa al organizador)
+app.post('/api/partidos/:id/disputar', verificarToken, async (req, res) => {
+    try {
+        const { motivo } = req.body;
+        if (!motivo || !String(motivo).trim()) return res.status(400).json({ error: 'Explica por qué no estás de acuerdo.' });
+
+        const { partida, torneo, error, status } = await partidaPorConfirmar(req.params.id);
+        if (error) return res.status(status).json({ error });
+
+        const yo = await inscritoDelUsuario(torneo, req.usuario.id);
+        if (!yo || ![partida.jugador1, partida.jugador2].includes(yo.id)) {
+            return res.status(403).json({ error: 'Solo los jugadores del partido pueden disputarlo.' });
+        }
+
+        const disputa = { jugadorId: yo.id, nombre: yo.nombre, motivo: String(motivo).trim(), fecha: new Date() };
+        await historialCollection.updateOne(
+            { _id: partida._id, estado: 'pendiente' },
+            { $set: { estado: 'disputado', 'confirmacion.disputa': disputa } }
+        );
+
+        await notificarTorneo(torneo._id, 'disputa', { partidoId: partida._id, disputa });
+        await notificacionesCollection.insertOne({
+            usuario_id: torneo.organizador_id,
+            torneo_id: torneo._id,
+            tipo: 'resultado_disputado',
+            mensaje: `${yo.nombre} disputa un resultado en ${torneo.nombre}: ${disputa.motivo}`,
+            datos: { partidoId: partida._id },
+            leida: false,
+            fecha: new Date()
+        });
+
+        res.json({ message: 'Resultado en disputa: el organizador lo revisará.' });
+
+    } catch (error) {
+        console.error('🔥 Error al disputar resultado:', error);
+        res.status(500).json({ error: 'Error al disputar el resultado.' });
+    }
+});
+
+// C. RESOLVER (organizador o árbitro): confirmar, corregir o anular
+app.post('/api/partidos/:id/resolver', verificarToken, async (req, res) => {
+    try {
+        const { decision, motivo, puntaje1, puntaje2, serie1, serie2 } = req.body;
+        if (!['confirmar', 'corregir', 'anular'].includes(decision)) {
+            return res.status(400).json({ error: 'La decisión debe ser confirmar, corregir o anular.' });
+        }
+        if (decision !== 'confirmar' && (!motivo || !String(motivo).trim())) {
+            return res.status(400).json({ error: 'Indica el motivo del cambio.' });
+        }
+
+        const { partida, torneo, error, status } = await partidaPorConfirmar(req.params.id, ['pendiente', 'disputado']);
+        if (error) return res.status(status).json({ error });
+        if (!tienePermiso(req.usuario, torneo, 'resultados')) {
+            return res.status(403).json({ error: 'No tienes permiso sobre este torneo.' });
+        }
+
+        if (decision === 'confirmar') {
+            await oficializarResultado(torneo, partida, 'organizador');
+            return res.json({ message: 'Resultado confirmado por el organizador.' });
+        }
+
+        const edicion = {
+            accion: decision === 'anular' ? 'anulada' : 'corregida',
+            motivo: String(motivo).trim(),
+            por: firmaUsuario(req.usuario, torneo),
+            fecha: new Date(),
+            antes: fotoResultado(partida)
+        };
+
+        if (decision === 'anular') {
+            await historialCollection.updateOne(
+                { _id: partida._id },
+                { $set: { estado: 'anulado', 'confirmacion.resueltaEn': new Date(), 'confirmacion.como': 'organizador' }, $push: { historialEdiciones: edicion } }
+            );
+            await notificarJugadores(torneo, [partida.jugador1, partida.jugador2], 'partido_anulado',
+                `Se anuló tu partido en ${torneo.nombre}. Motivo: ${edicion.motivo}`, { partidoId: partida._id });
+            return res.json({ message: 'Resultado anulado.' });
+        }
+
+        // Corregir: mismas reglas que al registrar, con las metas que tenía el partido
+        const nuevo = {
+            puntaje1: puntaje1 !== undefined ? parseInt(puntaje1) || 0 : partida.puntaje1,
+            puntaje2: puntaje2 !== undefined ? parseInt(puntaje2) || 0 : partida.puntaje2,
+            serie1: serie1 !== undefined ? parseInt(serie1) || null : partida.serie1,
+            serie2: serie2 !== undefined ? parseInt(serie2) || null : partida.serie2
+        };
+        const decisionMarcador = decidirResultado(torneo, partida.jugador1, partida.jugador2, nuevo.puntaje1, nuevo.puntaje2,
+            { meta1: partida.meta1, meta2: partida.meta2 });
+        if (decisionMarcador.error) return res.status(400).json({ error: decisionMarcador.error });
+
+        const corregida = { ...partida, ...nuevo, ganadorId: decisionMarcador.ganadorId };
+        puntuarPartida(reglasPuntuacion(torneo.reglas), corregida);
+        edicion.despues = fotoResultado(corregida);
+
+        await oficializarResultado(torneo, partida, 'organizador', {
+            ...nuevo, ganadorId: corregida.ganadorId, puntos1: corregida.puntos1, puntos2: corregida.puntos2
+        }, edicion);
+
+        res.json({ message: 'Resultado corregido y confirmado.', edicion });
+
+    } catch (error) {
+        console.error('🔥 Error al resolver resultado:', error);
+        res.status(500).json({ error: 'Error al resolver el resultado.' });
+    }
+});
+
+// D. BANDEJA DEL ORGANIZADOR: pendientes y disputados
+app.get('/api/torneos/:id/pendientes', verificarToken, requierePermiso('resultados'), async (req, res) => {
+    try {
+        const torneo = req.torneo;
+
+        const partidas = await historialCollection
+            .find({ torneo_id: torneo._id, estado: { $in: ['pendiente', 'disputado'] } })
+            .sort({ estado: 1, fecha: 1 })
+            .toArray();
+
+        const nombres = {};
+        (torneo.jugadores_inscritos || []).forEach(j => { nombres[j.id] = j.nombre; });
+
+        res.json({
+            modo: modoConfirmacion(torneo),
+            partidas: partidas.map(p => ({
+                ...p,
+                vencido: p.estado === 'pendiente' && new Date(p.confirmacion?.vence) <= new Date(), // Lo confirma la tarea periódica
+                nombre1: nombres[p.jugador1],
+                nombre2: nombres[p.jugador2]
+            }))
+        });
+
+    } catch (error) {
+        console.error('🔥 Error al leer pendientes:', error);
+        res.status(500).json({ error: 'Error al leer resultados pendientes.' });
+    }
+});
+
+// ==========================================
+// 🪪 IDENTIDAD ÚNICA DEL JUGADOR
+// ==========================================
+// Un jugador tiene un solo registro en "jugadores" (por usuario o teléfono).
+// La tabla web (tablaGeneral), la cuenta de la App (usuarios) y cada
+// inscripción (jugadores_inscritos) lo apuntan con jugador_id. El id de la
+// inscripción se queda igual porque es el que usan las partidas del torneo.
+
+// migrar-datos usaba este teléfono de relleno: no identifica a nadie
+const TELEFONO_RELLENO = '0000000000';
+
+function telefonoValido(telefono) {
+    return telefono && telefono !== TELEFONO_RELLENO ? String(telefono) : null;
+}
+
+/**
+ * Busca el registro único del jugador (siguiendo fusiones) sin crear ni completar nada.
+ * Se busca por usuario, luego por teléfono; solo sin teléfono se cae al nombre.
+ */
+async function buscarJugador({ usuarioId = null, telefono = null, nombre = null }) {
+    telefono = telefonoValido(telefono);
+    const usuarioObjectId = usuarioId ? new ObjectId(usuarioId) : null;
+
+    let jugador = null;
+    if (usuarioObjectId) jugador = await jugadoresCollection.findOne({ usuario_id: usuarioObjectId });
+    if (!jugador && telefono) jugador = await jugadoresCollection.findOne({ telefono });
+    if (!jugador && !telefono && nombre) {
+        jugador = await jugadoresCollection.findOne({ telefono: null, fusionadoCon: null, $or: [{ nombre }, { alias: nombre }] });
+    }
+    while (jugador && jugador.fusionadoCon) {
+        jugador = await jugadoresCollection.findOne({ _id: jugador.fusionadoCon });
+    }
+    return jugador;
+}
+
+/**
+ * Devuelve el registro único del jugador (como buscarJugador) y lo crea si no existe.
+ */
+async function jugadorCanonico({ usuarioId = null, telefono = null, nombre = null }) {
+    telefono = telefonoValido(telefono);
+    const usuarioObjectId = usuarioId ? new ObjectId(usuarioId) : null;
+
+    let jugador = await buscarJugador({ usuarioId, telefono, nombre });
+    if (!jugador) {
+        jugador = { nombre, telefono, usuario_id: usuarioObjectId, alias: [], creadoEn: new Date() };
+        const { insertedId } = await jugadoresCollection.insertOne(jugador);
+        return { ...jugador, _id: insertedId };
+    }
+
+    // Completa lo que le falte (ej. un jugador de la web que después se registró en la App)
+    const completar = {};
+    if (!jugador.usuario_id && usuarioObjectId) completar.usuario_id = usuarioObjectId;
+    if (!jugador.telefono && telefono) completar.telefono = telefono;
+    if (Object.keys(completar).length > 0) {
+        await jugadoresCollection.updateOne({ _id: jugador._id }, { $set: completar });
+        Object.assign(jugador, completar);
+    }
+    return jugador;
+}
+
+// Nombres con que el jugador pudo quedar en la web vieja
+function nombresDe(jugador) {
+    return [jugador.nombre, ...(jugador.alias || [])].filter(Boolean);
+}
+
+/**
+ * Las partidas que cambiaron de jugador al fusionar quedan en la bitácora como corregidas,
+ * para que las tablas proyectadas sigan encontrando a su dueño.
+ */
+async function fusionEnBitacora(partidoIds) {
+    if (partidoIds.length === 0) return;
+    const partidas = await historialCollection.find({ _id: { $in: partidoIds } }).toArray();
+    for (const partida of partidas) {
+        if (partida.torneo_id && ESTADOS_SIN_RESULTADO.includes(partida.estado)) continue;
+        await registrarEvento('corregida', { partida, motivo: 'Fusión de jugadores' });
+    }
+}
+
+/**
+ * Fusiona un jugador duplicado dentro del principal: tabla web, historial web,
+ * inscripciones (con sus partidas, pagos y llave) y cuenta de usuario.
+ * Con simular solo reporta. Devuelve el reporte, o { error, status }.
+ */
+async function fusionarJugadores(principal, duplicado, simular) {
+    if (principal.usuario_id && duplicado.usuario_id && !principal.usuario_id.equals(duplicado.usuario_id)) {
+        return { error: 'Los dos tienen cuenta en la App: son personas distintas o hay que cerrar una cuenta primero.', status: 400 };
+    }
+
+    const reporte = { principal: principal.nombre, duplicado: duplicado.nombre, tablaGeneral: 'sin cambios', historialWeb: 0, torneos: [] };
+
+    // 1. Torneos: antes de tocar nada, que no se hayan enfrentado entre ellos
+    const torneos = await torneosCollection.find({ 'jugadores_inscritos.jugador_id': String(duplicado._id) }).toArray();
+    for (const torneo of torneos) {
+        const insDup = torneo.jugadores_inscritos.find(j => j.jugador_id === String(duplicado._id));
+        const insPrin = torneo.jugadores_inscritos.find(j => j.jugador_id === String(principal._id));
+        if (!insPrin) continue;
+        const entreEllos = await historialCollection.countDocuments({
+            torneo_id: torneo._id,
+            $or: [{ jugador1: insDup.id, jugador2: insPrin.id }, { jugador1: insPrin.id, jugador2: insDup.id }]
+        });
+        if (entreEllos > 0) {
+            return { error: `En "${torneo.nombre}" se enfrentaron entre ellos: no pueden ser la misma persona.`, status: 400 };
+        }
+    }
+
+    // 2. Tabla web (las filas usan el nombre como _id) e historial web (por nombre)
+    const nombreFinal = principal.nombre;
+    const nombresDup = nombresDe(duplicado).filter(n => n !== nombreFinal);
+    const filaPrin = await tablaCollection.findOne({ $or: [{ jugador_id: principal._id }, { _id: nombreFinal }] });
+    let filaDup = await tablaCollection.findOne({ $or: [{ jugador_id: duplicado._id }, { _id: { $in: nombresDup } }] });
+    if (filaDup && filaPrin && String(filaDup._id) === String(filaPrin._id)) filaDup = null; // Ya es la misma fila
+
+    reporte.historialWeb = await historialCollection.countDocuments({
+        torneo_id: { $exists: false },
+        $or: [{ ganador: { $in: nombresDup } }, { perdedor: { $in: nombresDup } }]
+    });
+
+    if (filaDup) reporte.tablaGeneral = filaPrin ? 'se suman las filas' : 'se renombra la fila';
+    if (!simular) {
+        const partidasWeb = await historialCollection.distinct('_id', {
+            torneo_id: { $exists: false },
+            $or: [{ ganador: { $in: nombresDup } }, { perdedor: { $in: nombresDup } }]
+        });
+        await historialCollection.updateMany({ torneo_id: { $exists: false }, ganador: { $in: nombresDup } }, { $set: { ganador: filaPrin ? filaPrin._id : nombreFinal } });
+        await historialCollection.updateMany({ torneo_id: { $exists: false }, perdedor: { $in: nombresDup } }, { $set: { perdedor: filaPrin ? filaPrin._id : nombreFinal } });
+        await fusionEnBitacora(partidasWeb);
+
+        if (filaDup && filaPrin) {
+            await tablaCollection.updateOne({ _id: filaPrin._id }, {
+                $inc: {
+                    puntos: filaDup.puntos || 0,
+                    ganadas: filaDup.ganadas || 0,
+                    partidasJugadas: filaDup.partidasJugadas || 0,
+                    totalCarambolas: filaDup.totalCarambolas || 0,
+                    // Sin base la principal la calcula al vuelo con todo ya sumado
+                    ...(filaPrin.base ? Object.fromEntries(CAMPOS_TABLA_GENERAL.map(c => [`base.${c}`, filaDup.base?.[c] || 0])) : {})
+                },
+                $set: { jugador_id: principal._id }
+            });
+            await tablaCollection.deleteOne({ _id: filaDup._id });
+        } else if (filaDup) {
+            const { _id, ...datos } = filaDup;
+            await tablaCollection.insertOne({ ...datos, _id: nombreFinal, nombre: nombreFinal, jugador_id: principal._id });
+            await tablaCollection.deleteOne({ _id: filaDup._id });
+        }
+    }
+
+    // 3. Inscripciones
+    const cambiarId = (id, de, a) => (id === de ? a : id);
+    for (const torneo of torneos) {
+        const insDup = torneo.jugadores_inscritos.find(j => j.jugador_id === String(duplicado._id));
+        const insPrin = torneo.jugadores_inscritos.find(j => j.jugador_id === String(principal._id));
+
+        if (!insPrin) {
+            // Solo estaba el duplicado: la inscripción pasa a apuntar al principal
+            reporte.torneos.push({ torneo: torneo.nombre, accion: 'reasignada' });
+            if (!simular) {
+                await torneosCollection.updateOne(
+                    { _id: torneo._id, 'jugadores_inscritos.id': insDup.id },
+                    { $set: { 'jugadores_inscritos.$.jugador_id': String(principal._id), 'jugadores_inscritos.$.nombre': nombreFinal } }
+                );
+            }
+            continue;
+        }
+
+        // Estaban los dos: sus partidas, pagos y lugar en la llave pasan al principal
+        const partidas = await historialCollection.countDocuments({ torneo_id: torneo._id, $or: [{ jugador1: insDup.id }, { jugador2: insDup.id }] });
+        reporte.torneos.push({ torneo: torneo.nombre, accion: 'unidas', partidas });
+        if (simular) continue;
+
+        const partidasDup = await historialCollection.distinct('_id', { torneo_id: torneo._id, $or: [{ jugador1: insDup.id }, { jugador2: insDup.id }] });
+        for (const campo of ['jugador1', 'jugador2', 'ganadorId']) {
+            await historialCollection.updateMany({ torneo_id: torneo._id, [campo]: insDup.id }, { $set: { [campo]: insPrin.id } });
+        }
+        await fusionEnBitacora(partidasDup);
+        await pagosCollection.updateMany({ torneo_id: torneo._id, jugador_id: insDup.id }, { $set: { jugador_id: insPrin.id } });
+
+        const SUMABLES = ['puntos', 'partidosJugados', 'victorias', 'derrotas', 'empates', 'carambolas', 'entradas'];
+        const unido = { ...insPrin };
+        SUMABLES.forEach(c => { unido[c] = (insPrin[c] || 0) + (insDup[c] || 0); });
+        unido.serieMayor = Math.max(insPrin.serieMayor || 0, insDup.serieMayor || 0);
+
+        const cambios = {
+            jugadores_inscritos: torneo.jugadores_inscritos.filter(j => j.id !== insDup.id).map(j => (j.id === insPrin.id ? unido : j)),
+            colaEspera: (torneo.colaEspera || []).filter(c => c.jugadorId !== insDup.id)
+        };
+        if (torneo.faseFinal) {
+            const ff = torneo.faseFinal;
+            cambios.faseFinal = {
+                ...ff,
+                clasificados: ff.clasificados.map(c => ({ ...c, id: cambiarId(c.id, insDup.id, insPrin.id) })),
+                partidos: ff.partidos.map(p => ({
+                    ...p,
+                    jugador1: cambiarId(p.jugador1, insDup.id, insPrin.id),
+                    jugador2: cambiarId(p.jugador2, insDup.id, insPrin.id),
+                    ganadorId: cambiarId(p.ganadorId, insDup.id, insPrin.id)
+                })),
+                campeonId: cambiarId(ff.campeonId, insDup.id, insPrin.id)
+            };
+        }
+        await torneosCollection.updateOne({ _id: torneo._id }, { $set: cambios });
+    }
+
+    // 4. Cuenta de la App y el propio registro
+    if (!simular) {
+        const completar = {};
+        if (!principal.usuario_id && duplicado.usuario_id) completar.usuario_id = duplicado.usuario_id;
+        if (!principal.telefono && duplicado.telefono) completar.telefono = duplicado.telefono;
+
+        await jugadoresCollection.updateOne(
+            { _id: duplicado._id },
+            { $set: { fusionadoCon: principal._id, fusionadoEn: new Date(), telefono: null, usuario_id: null, telefonoAnterior: duplicado.telefono || null } }
+        );
+        await jugadoresCollection.updateOne(
+            { _id: principal._id },
+            { $set: completar, $addToSet: { alias: { $each: nombresDup } } }
+        );
+        await usuariosCollection.updateMany({ jugador_id: duplicado._id }, { $set: { jugador_id: principal._id } });
+    }
+
+    return reporte;
+}
+
+// A. BUSCAR JUGADOR (para inscribir al que ya existe en vez de copiar su nombre)
+app.get('/api/jugadores/buscar', verificarToken, async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        if (q.length < 2) return res.status(400).json({ error: 'Escribe al menos 2 letras o el teléfono.' });
+
+        const patron = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        const jugadores = await jugadoresCollection
+            .find({ fusionadoCon: null, $or: [{ telefono: q }, { nombre: patron }, { alias: patron }] })
+            .limit(20)
+            .toArray();
+
+        res.json(jugadores.map(j => ({
+            id: j._id,
+            nombre: j.nombre,
+            alias: j.alias || [],
+            registrado: !!j.usuario_id
+        })));
+
+    } catch (error) {
+        console.error('🔥 Error al buscar jugadores:', error);
+        res.status(500).json({ error: 'Error al buscar jugadores.' });
+    }
+});
+
+// B. FUSIONAR DUPLICADOS ("Juan P." dentro de "Juan Perez")
+app.post('/api/admin/jugadores/fusionar', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('fusionar-jugadores', req, res, async (simular) => {
+    const { principalId, duplicadoId } = req.body;
+    if (!ObjectId.isValid(principalId) || !ObjectId.isValid(duplicadoId) || principalId === duplicadoId) {
+        return { error: 'Indica dos jugadores distintos (principalId y duplicadoId).', status: 400 };
+    }
+
+    const principal = await jugadoresCollection.findOne({ _id: new ObjectId(principalId), fusionadoCon: null });
+    const duplicado = await jugadoresCollection.findOne({ _id: new ObjectId(duplicadoId), fusionadoCon: null });
+    if (!principal || !duplicado) return { error: 'Jugador no encontrado (o ya fusionado).', status: 404 };
+
+    const reporte = await fusionarJugadores(principal, duplicado, simular);
+    if (reporte.error) return reporte;
+
+    return {
+        message: simular ? 'Simulación: nada se guardó.' : `${duplicado.nombre} quedó unido a ${principal.nombre}.`,
+        ...reporte,
+        instruccion: simular ? undefined : 'Si se unieron inscripciones, corre recalcular-stats en esos torneos.'
+    };
+}));
+
+// C. VINCULAR LO QUE YA EXISTE (usuarios, tabla web e inscripciones sin jugador_id)
+app.post('/api/admin/jugadores/vincular', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('vincular-jugadores', req, res, async (simular) => {
+    const usuarios = await usuariosCollection.find({ jugador_id: { $exists: false } }).toArray();
+    const filas = await tablaCollection.find({ jugador_id: { $exists: false } }).toArray();
+    const torneos = await torneosCollection.find({ jugadores_inscritos: { $elemMatch: { jugador_id: { $exists: false } } } }).toArray();
+    const inscripciones = torneos.reduce((n, t) => n + t.jugadores_inscritos.filter(j => !j.jugador_id).length, 0);
+
+    const resumen = { usuarios: usuarios.length, tablaGeneral: filas.length, inscripciones };
+    if (simular) return { message: 'Simulación: esto quedaría vinculado.', sinVincular: resumen };
+
+    for (const u of usuarios) {
+        const jugador = await jugadorCanonico({ usuarioId: u._id, telefono: u.telefono, nombre: u.nombre });
+        await usuariosCollection.updateOne({ _id: u._id }, { $set: { jugador_id: jugador._id } });
+    }
+    for (const fila of filas) {
+        const jugador = await jugadorCanonico({ telefono: fila.telefono, nombre: fila.nombre });
+        await tablaCollection.updateOne({ _id: fila._id }, { $set: { jugador_id: jugador._id } });
+    }
+    for (const torneo of torneos) {
+        for (const j of torneo.jugadores_inscritos.filter(i => !i.jugador_id)) {
+            const usuario = telefonoValido(j.telefono) ? await usuariosCollection.findOne({ telefono: j.telefono }) : null;
+            const jugador = await jugadorCanonico({ usuarioId: usuario && usuario._id, telefono: j.telefono, nombre: j.nombre });
+            await torneosCollection.updateOne(
+                { _id: torneo._id, 'jugadores_inscritos.id': j.id },
+                { $set: { 'jugadores_inscritos.$.jugador_id': String(jugador._id), 'jugadores_inscritos.$.usuario_id': usuario ? String(usuario._id) : null } }
+            );
+        }
+    }
+
+    return { message: 'Jugadores vinculados.', vinculados: resumen };
+}));
+
+// ==========================================
+// 👤 PERFIL Y CARRERA DEL JUGADOR
+// ==========================================
+// Todo sale de historialPartidas (partidas de torneo + las de la web vieja)
+// y de las inscripciones. Los rivales se identifican por su registro único
+// cuando lo tienen; si no, por su inscripción o su nombre en la web.
+
+/**
+ * Partidas del jugador vistas desde su lado: mis carambolas, las del rival, si gané...
+ */
+async function partidasDeCarrera(jugador, torneos) {
+    const inscripciones = {}; // id de inscripción → torneo
+    torneos.forEach(t => {
+        const mia = t.jugadores_inscritos.find(j => j.jugador_id === String(jugador._id));
+        if (mia) inscripciones[mia.id] = t;
+    });
+    const misIds = Object.keys(inscripciones);
+
+    const deTorneo = misIds.length === 0 ? [] : await historialCollection.find({
+        torneo_id: { $in: torneos.map(t => t._id) },
+        estado: { $nin: ESTADOS_SIN_RESULTADO },
+        $or: [{ jugador1: { $in: misIds } }, { jugador2: { $in: misIds } }]
+    }).toArray();
+
+    // Una partida de la web copiada a un torneo (migrar-historial-partidas) se cuenta una vez, con su torneo
+    const migradas = new Set(deTorneo.filter(p => p.origen_id).map(p => String(p.origen_id)));
+    const nombres = nombresDe(jugador);
+    const deWeb = (await historialCollection.find({
+        torneo_id: { $exists: false },
+        estado: { $ne: 'anulado' },
+        $or: [{ ganador: { $in: nombres } }, { perdedor: { $in: nombres } }]
+    }).toArray()).filter(p => !migradas.has(String(p._id)));
+
+    // Rivales de la web: su fila de la tabla dice quién es (si ya está vinculada)
+    const filas = await tablaCollection.find({ jugador_id: { $exists: true } }, { projection: { jugador_id: 1 } }).toArray();
+    const jugadorDeFila = {};
+    filas.forEach(f => { jugadorDeFila[f._id] = String(f.jugador_id); });
+
+    const partidas = deTorneo.map(p => {
+        const soyJ1 = misIds.includes(p.jugador1);
+        const torneo = inscripciones[soyJ1 ? p.jugador1 : p.jugador2];
+        const rival = torneo.jugadores_inscritos.find(j => j.id === (soyJ1 ? p.jugador2 : p.jugador1)) || {};
+        const calculo = normalizarPartida(p);
+        return {
+            partidoId: p._id,
+            fecha: p.fecha,
+            torneo: { id: torneo._id, nombre: torneo.nombre },
+            fase: p.fase || 'liga',
+            rivalId: rival.jugador_id || `inscripcion:${rival.id}`,
+            rivalNombre: rival.nombre || '¿?',
+            carambolas: parseInt(soyJ1 ? p.puntaje1 : p.puntaje2) || 0,
+            enContra: parseInt(soyJ1 ? p.puntaje2 : p.puntaje1) || 0,
+            entradas: parseInt(soyJ1 ? p.entradas1 : p.entradas2) || 0,
+            serie: parseInt(soyJ1 ? p.serie1 : p.serie2) || 0,
+            resultado: !calculo.ganadorId ? 'empate' : (misIds.includes(calculo.ganadorId) ? 'victoria' : 'derrota')
+        };
+    });
+
+    deWeb.forEach(p => {
+        const gane = nombres.includes(p.ganador);
+        const rivalNombre = gane ? p.perdedor : p.ganador;
+        partidas.push({
+            partidoId: p._id,
+            fecha: p.fecha,
+            torneo: null, // Liga general de la web
+            fase: 'web',
+            rivalId: jugadorDeFila[rivalNombre] || `web:${rivalNombre}`,
+            rivalNombre,
+            carambolas: parseInt(gane ? p.marcadorGanador : p.marcadorPerdedor) || 0,
+            enContra: parseInt(gane ? p.marcadorPerdedor : p.marcadorGanador) || 0,
+            entradas: 0,
+            serie: 0,
+            resultado: gane ? 'victoria' : 'derrota'
+        });
+    });
+
+    return partidas.sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+}
+
+// Porcentaje de victorias con un decimal
+const porcentajeVictorias = (victorias, partidos) => (partidos > 0 ? Math.round(victorias * 1000 / partidos) / 10 : 0);
+
+// A. PERFIL DE CARRERA (/api/jugadores/yo para el propio)
+app.get('/api/jugadores/:id', verificarToken, async (req, res) => {
+    try {
+        // "yo" = el jugador de la cuenta con que se entra a la App
+        let jugador;
+        if (req.params.id === 'yo') {
+            const usuario = await usuariosCollection.findOne({ _id: new ObjectId(req.usuario.id) });
+            if (!usuario) return res.status(404).json({ error: 'Usuario no encontrado.' });
+            // Sólo lectura: la ficha se crea al registrarse o al inscribirse, no al consultarla
+            jugador = usuario.jugador_id
+                ? await jugadoresCollection.findOne({ _id: usuario.jugador_id })
+                : await buscarJugador({ usuarioId: usuario._id, telefono: usuario.telefono, nombre: usuario.nombre });
+        } else {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID de jugador inválido.' });
+            jugador = await jugadoresCollection.findOne({ _id: new ObjectId(req.params.id) });
+        }
+        while (jugador && jugador.fusionadoCon) {
+            jugador = await jugadoresCollection.findOne({ _id: jugador.fusionadoCon });
+        }
+        if (!jugador) return res.status(404).json({ error: 'Jugador no encontrado.' });
+
+        const torneos = await torneosCollection.find({ 'jugadores_inscritos.jugador_id': String(jugador._id) }).toArray();
+        const partidas = await partidasDeCarrera(jugador, torneos);
+
+        // 1. Totales
+        const totales = { partidos: 0, victorias: 0, derrotas: 0, empates: 0, carambolas: 0, enContra: 0, entradas: 0, serieMayor: 0 };
+        partidas.forEach(p => {
+            totales.partidos++;
+            totales[p.resultado === 'victoria' ? 'victorias' : (p.resultado === 'derrota' ? 'derrotas' : 'empates')]++;
+            totales.carambolas += p.carambolas;
+            totales.enContra += p.enContra;
+            totales.entradas += p.entradas;
+            totales.serieMayor = Math.max(totales.serieMayor, p.serie);
+        });
+
+        // El promedio general solo usa las partidas que se anotaron por entradas
+        const conEntradas = partidas.filter(p => p.entradas > 0);
+        const carambolasConEntradas = conEntradas.reduce((s, p) => s + p.carambolas, 0);
+
+        // 2. Mejor partida: más carambolas; a igualdad, mejor promedio
+        const mejor = partidas.reduce((m, p) => {
+            if (!m || p.carambolas > m.carambolas) return p;
+            if (p.carambolas === m.carambolas && p.entradas > 0 && (m.entradas === 0 || p.carambolas / p.entradas > m.carambolas / m.entradas)) return p;
+            return m;
+        }, null);
+
+        // 3. Tendencia: % de victorias por mes (y el acumulado)
+        const porMes = {};
+        partidas.forEach(p => {
+            const mes = new Date(p.fecha).toISOString().slice(0, 7);
+            if (!porMes[mes]) porMes[mes] = { periodo: mes, partidos: 0, victorias: 0 };
+            porMes[mes].partidos++;
+            if (p.resultado === 'victoria') porMes[mes].victorias++;
+        });
+        let acumPartidos = 0;
+        let acumVictorias = 0;
+        const tendencia = Object.values(porMes).sort((a, b) => a.periodo.localeCompare(b.periodo)).map(m => {
+            acumPartidos += m.partidos;
+            acumVictorias += m.victorias;
+            return {
+                ...m,
+                porcentaje: porcentajeVictorias(m.victorias, m.partidos),
+                porcentajeAcumulado: porcentajeVictorias(acumVictorias, acumPartidos)
+            };
+        });
+
+        // 4. Torneos jugados y su posición (final si ya terminó, actual si no)
+        const historialTorneos = await Promise.all(torneos.map(async t => {
+            const inscrito = t.jugadores_inscritos.find(j => j.jugador_id === String(jugador._id));
+            const { fuente, posiciones } = posicionesFinales(t, await partidasParaRanking(t));
+            const lugar = posiciones.findIndex(p => p.id === inscrito.id);
+            const terminado = ['finalizado', 'archivado'].includes(estadoTorneo(t));
+            return {
+                torneoId: t._id,
+                nombre: t.nombre,
+                estado: estadoTorneo(t),
+                fecha: t.fechas?.inicio || t.creadoEn,
+                [terminado ? 'posicionFinal' : 'posicionActual']: lugar >= 0 ? lugar + 1 : null,
+                segun: fuente,
+                campeon: !!t.faseFinal && t.faseFinal.campeonId === inscrito.id,
+                partidos: inscrito.partidosJugados || 0,
+                puntos: inscrito.puntos || 0
+            };
+        }));
+        historialTorneos.sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+
+        // 5. Cara a cara contra cada rival
+        const rivales = {};
+        partidas.forEach(p => {
+            if (!rivales[p.rivalId]) {
+                rivales[p.rivalId] = { rivalId: p.rivalId, nombre: p.rivalNombre, partidos: 0, victorias: 0, derrotas: 0, empates: 0, carambolasAFavor: 0, carambolasEnContra: 0 };
+            }
+            const r = rivales[p.rivalId];
+            r.partidos++;
+            r[p.resultado === 'victoria' ? 'victorias' : (p.resultado === 'derrota' ? 'derrotas' : 'empates')]++;
+            r.carambolasAFavor += p.carambolas;
+            r.carambolasEnContra += p.enContra;
+            r.ultimo = p.fecha;
+        });
+
+        res.json({
+            jugador: {
+                id: jugador._id,
+                nombre: jugador.nombre,
+                alias: jugador.alias || [],
+                registrado: !!jugador.usuario_id,
+                rating: jugador.rating ?? RATING_INICIAL
+            },
+            totales: {
+                ...totales,
+                porcentajeVictorias: porcentajeVictorias(totales.victorias, totales.partidos),
+                promedioGeneral: promedioGeneral(carambolasConEntradas, totales.entradas),
+                promedioPorPartido: totales.partidos > 0 ? (totales.carambolas / totales.partidos).toFixed(2) : "0.00"
+            },
+            mejorPartida: mejor,
+            tendencia,
+            torneos: historialTorneos,
+            caraACara: Object.values(rivales).sort((a, b) => b.partidos - a.partidos)
+        });
+
+    } catch (error) {
+        console.error('🔥 Error al armar el perfil:', error);
+        res.status(500).json({ error: 'Error al obtener el perfil del jugador.' });
+    }
+});
+
+// ==========================================
+// 📈 RATING (ELO) DE CADA JUGADOR
+// ==========================================
+// Vive en el registro único del jugador (jugadores.rating) y cada cambio queda
+// en historialRating. Después de cada partida que cuenta:
+//   esperado = 1 / (1 + 10^((rival - yo) / 400))
+//   cambio   = K × (1 + margen) × (resultado − esperado)
+// margen = diferencia de carambolas / carambolas del ganador (0 a 1): ganar
+// 30-29 mueve poco, ganar 30-5 casi el doble. Los primeros partidos usan un
+// K más alto para que el rating de un jugador nuevo se acomode rápido.
+
+const RATING_INICIAL = 1500;
+const K_RATING = 32;
+const K_RATING_NUEVO = 48;
+const PARTIDAS_RATING_NUEVO = 10;
+
+/**
+ * Cambio de rating de dos jugadores tras una partida.
+ * resultadoA: 1 ganó A, 0 perdió A, 0.5 empate.
+ */
+function calcularElo(a, b, puntajeA, puntajeB, resultadoA) {
+    const esperadoA = 1 / (1 + Math.pow(10, (b.rating - a.rating) / 400));
+    const mayor = Math.max(puntajeA, puntajeB, 1);
+    const margen = Math.min(Math.abs(puntajeA - puntajeB) / mayor, 1);
+    const factor = 1 + margen;
+
+    const k = (j) => ((j.partidas || 0) < PARTIDAS_RATING_NUEVO ? K_RATING_NUEVO : K_RATING);
+    return {
+        cambioA: Math.round(k(a) * factor * (resultadoA - esperadoA) * 10) / 10,
+        cambioB: Math.round(k(b) * factor * ((1 - resultadoA) - (1 - esperadoA)) * 10) / 10,
+        margen: Math.round(margen * 100) / 100
+    };
+}
+
+/**
+ * Los dos jugadores (registro único) de una partida guardada, o null si falta alguno.
+ * Torneo: por la inscripción. Web: por la fila de la tabla (con vincular, se liga si hace falta).
+ */
+async function jugadoresDePartida(partida, torneo = null, vincular = true) {
+    if (partida.torneo_id) {
+        const t = torneo || await torneosCollection.findOne({ _id: partida.torneo_id });
+        if (!t) return null;
+        const porId = (id) => (t.jugadores_inscritos || []).find(j => j.id === String(id));
+        const a = porId(partida.jugador1);
+        const b = porId(partida.jugador2);
+        if (!a || !b || !a.jugador_id || !b.jugador_id) return null;
+        return { idA: a.jugador_id, idB: b.jugador_id, puntajeA: parseInt(partida.puntaje1) || 0, puntajeB: parseInt(partida.puntaje2) || 0 };
+    }
+
+    const fila = async (nombre) => {
+        const f = await tablaCollection.findOne({ _id: nombre });
+        if (!f) return null;
+        if (f.jugador_id) return String(f.jugador_id);
+        if (!vincular) return null;
+        const jugador = await jugadorCanonico({ telefono: f.telefono, nombre: f.nombre || nombre });
+        await tablaCollection.updateOne({ _id: f._id }, { $set: { jugador_id: jugador._id } });
+        return String(jugador._id);
+    };
+    const idA = await fila(partida.ganador);
+    const idB = await fila(partida.perdedor);
+    if (!idA || !idB) return null;
+    return { idA, idB, puntajeA: parseInt(partida.marcadorGanador) || 0, puntajeB: parseInt(partida.marcadorPerdedor) || 0 };
+}
+
+// 1 si ganó el "A" de jugadoresDePartida, 0 si perdió, 0.5 empate
+function resultadoParaA(partida) {
+    if (!partida.torneo_id) return 1; // En la web A siempre es el ganador
+    const { ganadorId, jugador1 } = normalizarPartida(partida);
+    if (!ganadorId) return 0.5;
+    return ganadorId === String(jugador1) ? 1 : 0;
+}
+
+/**
+ * Actualiza el rating de los dos jugadores de una partida que ya cuenta.
+ * No tumba el registro del resultado si algo falla (el rating se puede reconstruir).
+ */
+async function actualizarRatings(partida, torneo = null) {
+    try {
+        const quienes = await jugadoresDePartida(partida, torneo);
+        if (!quienes) return;
+
+        const [a, b] = await Promise.all([quienes.idA, quienes.idB].map(id => jugadoresCollection.findOne({ _id: new ObjectId(id) })));
+        if (!a || !b) return;
+        const estado = (j) => ({ rating: j.rating ?? RATING_INICIAL, partidas: j.partidasRating || 0 });
+
+        const resultado = resultadoParaA(partida);
+        const { cambioA, cambioB, margen } = calcularElo(estado(a), estado(b), quienes.puntajeA, quienes.puntajeB, resultado);
+        const fecha = new Date();
+
+        const movimiento = (yo, rival, cambio, res) => ({
+            jugador_id: yo._id,
+            partido_id: partida._id,
+            torneo_id: partida.torneo_id || null,
+            rival_id: rival._id,
+            rivalRating: estado(rival).rating,
+            antes: estado(yo).rating,
+            despues: Math.round((estado(yo).rating + cambio) * 10) / 10,
+            cambio,
+            resultado: res,
+            margen,
+            fecha
+        });
+        const movimientos = [movimiento(a, b, cambioA, resultado), movimiento(b, a, cambioB, 1 - resultado)];
+
+        await historialRatingCollection.insertMany(movimientos);
+        for (const m of movimientos) {
+            await jugadoresCollection.updateOne({ _id: m.jugador_id }, { $set: { rating: m.despues }, $inc: { partidasRating: 1 } });
+        }
+    } catch (error) {
+        console.error('🔥 Error al actualizar ratings:', error);
+    }
+}
+
+/**
+ * Quita lo que una partida movió en el rating (al deshacerla, corregirla o anularla).
+ */
+async function revertirRatings(partidoId) {
+    try {
+        const movimientos = await historialRatingCollection.find({ partido_id: partidoId }).toArray();
+        for (const m of movimientos) {
+            await jugadoresCollection.updateOne({ _id: m.jugador_id }, { $inc: { rating: -m.cambio, partidasRating: -1 } });
+        }
+        if (movimientos.length > 0) await historialRatingCollection.deleteMany({ partido_id: partidoId });
+    } catch (error) {
+        console.error('🔥 Error al revertir ratings:', error);
+    }
+}
+
+/**
+ * Rating actual de varios jugadores (por jugador_id), con el inicial para quien no tenga.
+ */
+async function ratingsDe(jugadorIds) {
+    const ids = jugadorIds.filter(id => id && ObjectId.isValid(id)).map(id => new ObjectId(id));
+    const jugadores = await jugadoresCollection.find({ _id: { $in: ids } }, { projection: { rating: 1 } }).toArray();
+    const mapa = {};
+    jugadores.forEach(j => { mapa[String(j._id)] = j.rating ?? RATING_INICIAL; });
+    return (id) => mapa[id] ?? RATING_INICIAL;
+}
+
+// A. RECONSTRUIR TODOS LOS RATINGS DESDE historialPartidas
+app.post('/api/admin/ratings/reconstruir', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('reconstruir-ratings', req, res, async (simular) => {
+    // Todas las partidas con resultado, en orden: las de torneo y las de la web
+    const todas = await historialCollection.find({
+        $or: [
+            { torneo_id: { $exists: true }, estado: { $nin: ESTADOS_SIN_RESULTADO } },
+            { torneo_id: { $exists: false }, ganador: { $exists: true }, estado: { $ne: 'anulado' } }
+        ]
+    }).sort({ fecha: 1, _id: 1 }).toArray();
+
+    // Una partida de la web copiada a torneos (migración) mueve el rating una sola vez: la original
+    const deWeb = new Set(todas.filter(p => !p.torneo_id).map(p => String(p._id)));
+    const partidas = todas.filter(p => !(p.origen_id && deWeb.has(String(p.origen_id))));
+    const copiasMigradas = todas.length - partidas.length;
+
+    const torneos = {};
+    (await torneosCollection.find({}, { projection: { jugadores_inscritos: 1 } }).toArray())
+        .forEach(t => { torneos[String(t._id)] = t; });
+
+    const estados = {}; // jugador_id → { rating, partidas }
+    const estado = (id) => (estados[id] = estados[id] || { rating: RATING_INICIAL, partidas: 0 });
+    const movimientos = [];
+    let omitidas = 0;
+
+    for (const partida of partidas) {
+        const torneo = partida.torneo_id ? torneos[String(partida.torneo_id)] : null;
+        if (partida.torneo_id && !torneo) { omitidas++; continue; }
+
+        // En simulación no se vincula nada: la web sin vincular se cuenta como omitida
+        const quienes = await jugadoresDePartida(partida, torneo, !simular);
+        if (!quienes || quienes.idA === quienes.idB) { omitidas++; continue; }
+
+        const a = estado(quienes.idA);
+        const b = estado(quienes.idB);
+        const resultado = resultadoParaA(partida);
+        const { cambioA, cambioB, margen } = calcularElo(a, b, quienes.puntajeA, quienes.puntajeB, resultado);
+
+        const mover = (id, yo, rivalId, rival, cambio, res) => {
+            const antes = yo.rating;
+            movimientos.push({
+                jugador_id: new ObjectId(id),
+                partido_id: partida._id,
+                torneo_id: partida.torneo_id || null,
+                rival_id: new ObjectId(rivalId),
+                rivalRating: rival.rating,
+                antes,
+                despues: Math.round((antes + cambio) * 10) / 10,
+                cambio,
+                resultado: res,
+                margen,
+                fecha: partida.fecha || new Date()
+            });
+        };
+        mover(quienes.idA, a, quienes.idB, b, cambioA, resultado);
+        mover(quienes.idB, b, quienes.idA, a, cambioB, 1 - resultado);
+        a.rating = Math.round((a.rating + cambioA) * 10) / 10;
+        b.rating = Math.round((b.rating + cambioB) * 10) / 10;
+        a.partidas++;
+        b.partidas++;
+    }
+
+    if (!simular) {
+        await jugadoresCollection.updateMany({}, { $set: { rating: RATING_INICIAL, partidasRating: 0 } });
+        await historialRatingCollection.deleteMany({});
+        if (movimientos.length > 0) await historialRatingCollection.insertMany(movimientos);
+        for (const [id, e] of Object.entries(estados)) {
+            await jugadoresCollection.updateOne({ _id: new ObjectId(id) }, { $set: { rating: e.rating, partidasRating: e.partidas } });
+        }
+    }
+
+    const nombres = {};
+    (await jugadoresCollection.find({ _id: { $in: Object.keys(estados).map(id => new ObjectId(id)) } }, { projection: { nombre: 1 } }).toArray())
+        .forEach(j => { nombres[String(j._id)] = j.nombre; });
+
+    return {
+        message: simular ? 'Simulación: nada se guardó.' : 'Ratings reconstruidos.',
+        partidas_procesadas: partidas.length - omitidas,
+        partidas_omitidas: omitidas,
+        copias_migradas_ignoradas: copiasMigradas,
+        top: Object.entries(estados)
+            .sort((x, y) => y[1].rating - x[1].rating)
+            .slice(0, 20)
+            .map(([id, e]) => ({ jugadorId: id, nombre: nombres[id], rating: e.rating, partidas: e.partidas }))
+    };
+}));
+
+// B. HISTORIAL DE RATING DE UN JUGADOR
+app.get('/api/jugadores/:id/rating', verificarToken, async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID de jugador inválido.' });
+        const jugador = await jugadoresCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!jugador) return res.status(404).json({ error: 'Jugador no encontrado.' });
+
+        const movimientos = await historialRatingCollection
+            .find({ jugador_id: jugador._id })
+            .sort({ fecha: -1 })
+            .limit(parseInt(req.query.limite) || 100)
+            .toArray();
+
+        res.json({
+            jugador: { id: jugador._id, nombre: jugador.nombre },
+            rating: jugador.rating ?? RATING_INICIAL,
+            partidas: jugador.partidasRating || 0,
+            historial: movimientos
+        });
+    } catch (error) {
+        console.error('🔥 Error al leer el rating:', error);
+        res.status(500).json({ error: 'Error al leer el historial de rating.' });
+    }
+});
+
+// C. RANGOS DE HANDICAP SEGÚN EL RATING
+// Se ordenan los inscritos por rating y se reparten en N categorías parejas (1 = la más fuerte).
+app.post('/api/torneos/rangos-por-rating', verificarToken, requierePermiso('inscripciones'), async (req, res) => {
+    try {
+        const torneo = req.torneo;
+        const categorias = parseInt(req.body.categorias);
+        const inscritos = torneo.jugadores_inscritos || [];
+
+        if (!categorias || categorias < 1 || categorias > inscritos.length) {
+            return res.status(400).json({ error: `Indica cuántas categorías (entre 1 y ${inscritos.length}).` });
+        }
+
+        const ratingDe = await ratingsDe(inscritos.map(j => j.jugador_id));
+        const ordenados = [...inscritos].sort((a, b) => ratingDe(b.jugador_id) - ratingDe(a.jugador_id));
+        const porCategoria = Math.ceil(ordenados.length / categorias);
+
+        const asignados = ordenados.map((j, i) => ({ id: j.id, nombre: j.nombre, rating: ratingDe(j.jugador_id), rango: Math.floor(i / porCategoria) + 1 }));
+
+        const { auditoria, error, status } = revisarCambioReglas(req, torneo,
+            { rangos: asignados.map(a => ({ jugadorId: a.id, rango: a.rango })), 'reglas.rangosPorRating': { categorias } },
+            { rangos: inscritos.map(j => ({ jugadorId: j.id, rango: j.rango || 1 })), 'reglas.rangosPorRating': torneo.reglas?.rangosPorRating || null });
+        if (error) return res.status(status).json({ error });
+
+        const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+            if (auditoria) await torneosCollection.updateOne({ _id: torneo._id }, { $push: { auditoriaReglas: auditoria } }, { session: sesion });
+            for (const a of asignados) {
+                await torneosCollection.updateOne(
+                    { _id: torneo._id, 'jugadores_inscritos.id': a.id },
+                    { $set: { 'jugadores_inscritos.$.rango': a.rango } },
+                    { session: sesion }
+                );
+            }
+            await torneosCollection.updateOne({ _id: torneo._id }, { $set: { 'reglas.rangosPorRating': { categorias, fecha: new Date() } } }, { session: sesion });
+            await registrarCambioReglas(torneo, req.usuario, { rangosPorRating: { categorias } }, {
+                motivo: req.body.motivo || null,
+                anteriores: { rangosAnteriores: rangosDe(torneo) }
+            }, sesion);
+            return { cuerpo: { message: `Rangos asignados en ${categorias} categorías según el rating.`, asignados } };
+        });
+        responderOperacion(res, respuesta);
+
+    } catch (error) {
+        console.error('🔥 Error al asignar rangos por rating:', error);
+        res.status(500).json({ error: 'Error al asignar rangos por rating.' });
+    }
+});
+
+// ==========================================
+// 📒 BITÁCORA DE PARTIDAS (EVENTOS) Y TABLAS PROYECTADAS
+// ==========================================
+// Cada cambio que mueve una tabla queda como un evento que nunca se edita ni se borra:
+//   registrada        → un resultado empieza a contar (trae la foto de la partida)
+//   corregida         → cambia el marcador o los puntos de una partida que ya contaba
+//   anulada           → la partida deja de contar
+//   reglas_cambiadas  → el organizador cambió las reglas (guarda las anteriores)
+// Las tablas se calculan repasando los eventos en orden, hasta hoy o hasta cualquier fecha.
+// historialPartidas sigue guardando el estado actual de cada partido (calendario, en vivo, etc.).
+
+// La partida tal como cuenta para la tabla (sin el registro de entradas ni la bitácora de ediciones)
+function fotoEvento(partida) {
+    const { _id, registroEntradas, historialEdiciones, confirmacion, ...datos } = partida;
+    return datos;
+}
+
+/**
+ * Agrega un evento a la bitácora. `fecha` es cuándo vale el cambio (para las tablas "al día");
+ * `registradoEn` es cuándo se escribió.
+ */
+async function registrarEvento(tipo, datos, sesion) {
+    const { partida = null, torneoId = partida?.torneo_id || null, fecha = new Date(), ...resto } = datos;
+    await eventosPartidasCollection.insertOne({
+        tipo,
+        torneo_id: torneoId,
+        partido_id: partida ? partida._id : null,
+        partida: partida && tipo !== 'anulada' ? fotoEvento(partida) : null,
+        fecha,
+        registradoEn: new Date(),
+        ...resto
+    }, { session: sesion });
+}
+
+/**
+ * Deja en la bitácora un cambio de reglas con lo que había antes, para ver el torneo "al día".
+ * `anteriores` trae lo que no vive en torneo.reglas (premiosAnteriores, rangosAnteriores).
+ */
+async function registrarCambioReglas(torneo, usuario, cambios, { motivo = null, anteriores = {} } = {}, sesion) {
+    await registrarEvento('reglas_cambiadas', {
+        torneoId: torneo._id,
+        reglasAnteriores: torneo.reglas,
+        ...anteriores,
+        cambios,
+        motivo,
+        por: firmaUsuario(usuario, torneo)
+    }, sesion);
+}
+
+// Rango de handicap de cada inscrito (id → rango)
+function rangosDe(torneo) {
+    return Object.fromEntries((torneo.jugadores_inscritos || []).map(j => [j.id, j.rango || 1]));
+}
+
+/**
+ * Repasa los eventos (de un torneo, o de la web con torneo_id null) y devuelve
+ * las partidas que cuentan, con su última versión, hasta la fecha dada.
+ */
+async function partidasSegunEventos(torneoId, hasta = null) {
+    const filtro = { torneo_id: torneoId, tipo: { $in: ['registrada', 'corregida', 'anulada'] } };
+    if (hasta) filtro.fecha = { $lte: hasta };
+
+    return partidasVigentes(await eventosPartidasCollection.find(filtro).sort({ fecha: 1, _id: 1 }).toArray());
+}
+
+// Última versión de cada partida que sigue contando, repasando eventos ya ordenados
+function partidasVigentes(eventos) {
+    const vigentes = new Map();
+    eventos.forEach(e => {
+        if (e.tipo === 'anulada') vigentes.delete(String(e.partido_id));
+        else vigentes.set(String(e.partido_id), { ...e.partida, _id: e.partido_id });
+    });
+    return [...vigentes.values()];
+}
+
+/**
+ * El torneo como estaba en una fecha: las reglas de entonces y sólo los ya inscritos.
+ */
+async function torneoEnFecha(torneo, hasta) {
+    const cambios = await eventosPartidasCollection
+        .find({ torneo_id: torneo._id, tipo: 'reglas_cambiadas', fecha: { $gt: hasta } })
+        .sort({ fecha: 1, _id: 1 })
+        .toArray();
+
+    // El primer cambio posterior guarda cómo estaban las cosas en esa fecha
+    const reglas = cambios.length > 0 ? cambios[0].reglasAnteriores : torneo.reglas;
+    const premios = cambios.find(c => 'premiosAnteriores' in c);
+    const rangos = cambios.find(c => c.rangosAnteriores);
+
+    return {
+        ...torneo,
+        reglas,
+        configuracion: premios ? { ...torneo.configuracion, premios: premios.premiosAnteriores } : torneo.configuracion,
+        jugadores_inscritos: (torneo.jugadores_inscritos || [])
+            .filter(j => !j.inscritoEn || new Date(j.inscritoEn) <= hasta)
+            .map(j => (rangos ? { ...j, rango: rangos.rangosAnteriores[j.id] ?? j.rango } : j))
+    };
+}
+
+/**
+ * Lee el parámetro "fecha" (?fecha=2025-03-01) para pedir una tabla al día.
+ * Una fecha sin hora cuenta hasta el final de ese día.
+ */
+function fechaDeCorte(valor) {
+    if (!valor) return { hasta: null };
+    const hasta = new Date(valor);
+    if (isNaN(hasta)) return { error: 'Fecha inválida. Usa el formato AAAA-MM-DD.' };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(valor)) hasta.setUTCHours(23, 59, 59, 999);
+    return { hasta };
+}
+
+// Lo que suma cada fila de la tabla general de la Web Clásica
+const CAMPOS_TABLA_GENERAL = ['puntos', 'ganadas', 'partidasJugadas', 'totalCarambolas'];
+
+/**
+ * Estadísticas de la tabla general de la Web Clásica según sus partidas.
+ * Cada fila arranca de su "base": lo que ya traía y no sale de ninguna partida de la bitácora
+ * (filas cargadas a mano o importadas).
+ */
+function proyectarTablaGeneral(jugadores, partidas) {
+    const filas = {};
+    const vacia = (fila) => ({
+        ...fila,
+        ...Object.fromEntries(CAMPOS_TABLA_GENERAL.map(c => [c, fila.base?.[c] || 0]))
+    });
+    jugadores.forEach(j => { filas[j._id] = vacia(j); });
+    const fila = (nombre) => (filas[nombre] = filas[nombre] || vacia({ _id: nombre, nombre }));
+
+    partidas.forEach(p => {
+        const { puntosGanador, puntosPerdedor } = puntosPartidaClasica(p);
+        const ganador = fila(p.ganador);
+        const perdedor = fila(p.perdedor);
+        ganador.puntos += puntosGanador;
+        ganador.ganadas += 1;
+        ganador.partidasJugadas += 1;
+        ganador.totalCarambolas += parseInt(p.marcadorGanador) || 0;
+        perdedor.puntos += puntosPerdedor;
+        perdedor.partidasJugadas += 1;
+        perdedor.totalCarambolas += parseInt(p.marcadorPerdedor) || 0;
+    });
+
+    return Object.values(filas);
+}
+
+/**
+ * Base de cada fila de la tabla general: lo guardado menos lo que explican las partidas (id → base).
+ * `partidas` deben ser todas las vigentes, sin fecha de corte.
+ */
+function basesTablaGeneral(jugadores, partidas) {
+    const proyectado = {};
+    proyectarTablaGeneral(jugadores.map(({ base, ...j }) => j), partidas).forEach(f => { proyectado[f._id] = f; });
+    return Object.fromEntries(jugadores.map(j => [
+        j._id,
+        Object.fromEntries(CAMPOS_TABLA_GENERAL.map(c => [c, (j[c] || 0) - proyectado[j._id][c]]))
+    ]));
+}
+
+/**
+ * Filas de la tabla general con su base. Las que migrarEventos todavía no revisó
+ * la calculan al vuelo, para que no pierdan lo guardado.
+ */
+async function filasConBase(jugadores, todas = null) {
+    const sinBase = jugadores.filter(j => !j.base);
+    if (sinBase.length === 0) return jugadores;
+
+    const bases = basesTablaGeneral(sinBase, todas || await partidasSegunEventos(null));
+    return jugadores.map(j => (j.base ? j : { ...j, base: bases[j._id] }));
+}
+
+/**
+ * Eventos que faltan para un partido guardado antes de que existiera la bitácora.
+ * Se reconstruyen desde su historial de ediciones: la primera foto es el "antes" de la primera edición.
+ */
+function eventosDePartidaVieja(partida) {
+    const ediciones = partida.historialEdiciones || [];
+    const inicial = ediciones.length > 0 ? { ...partida, ...ediciones[0].antes } : partida;
+    const fechaInicial = partida.confirmacion?.resueltaEn && ediciones.length === 0 ? partida.confirmacion.resueltaEn : partida.fecha;
+
+    const eventos = [];
+    const evento = (tipo, foto, fecha, extra = {}) => eventos.push({
+        tipo,
+        torneo_id: partida.torneo_id || null,
+        partido_id: partida._id,
+        partida: tipo === 'anulada' ? null : fotoEvento(partida.torneo_id ? { ...foto, estado: 'jugado' } : foto),
+        fecha: fecha ? new Date(fecha) : new Date(),
+        registradoEn: new Date(),
+        migrado: true,
+        ...extra
+    });
+
+    // Sin torneo no hay estados: si está en el historial de la web, cuenta
+    let vigente = !partida.torneo_id || !ESTADOS_SIN_RESULTADO.includes(inicial.estado);
+    if (vigente) evento('registrada', inicial, fechaInicial);
+
+    ediciones.forEach(e => {
+        if (e.accion === 'anulada') {
+            if (vigente) evento('anulada', partida, e.fecha, { motivo: e.motivo, por: e.por });
+            vigente = false;
+        } else if (e.accion === 'corregida') {
+            // Un resultado pendiente corregido por el organizador empieza a contar ahí
+            evento(vigente ? 'corregida' : 'registrada', { ...partida, ...e.despues }, e.fecha, { motivo: e.motivo, por: e.por });
+            vigente = true;
+        }
+    });
+    return eventos;
+}
+
+// Partidos que migrarEventos revisa por vuelta
+const LOTE_MIGRACION = 500;
+
+/**
+ * Crea los eventos de los partidos que todavía no están en la bitácora. Se puede repetir sin duplicar.
+ * Recorre el historial por lotes con un cursor (nunca lo carga entero).
+ */
+async function migrarEventos(simular = false) {
+    const cursor = historialCollection.find({
+        $or: [
+            { torneo_id: { $exists: true }, estado: { $nin: ['programado', 'en_juego'] } },
+            { torneo_id: { $exists: false }, ganador: { $exists: true }, estado: { $ne: 'anulado' } }
+        ]
+    }).sort({ _id: 1 }).batchSize(LOTE_MIGRACION);
+
+    let partidasRevisadas = 0;
+    let eventosCreados = 0;
+    const pendientesWeb = []; // Una simulación no guarda: la base de la tabla general los necesita
+    let lote = [];
+
+    const procesarLote = async () => {
+        if (lote.length === 0) return;
+        const ids = lote.map(p => p._id);
+        const conEventos = new Set((await eventosPartidasCollection.distinct('partido_id', { partido_id: { $in: ids } })).map(String));
+        const eventos = lote
+            .filter(p => !conEventos.has(String(p._id)))
+            .flatMap(eventosDePartidaVieja);
+
+        if (!simular && eventos.length > 0) await eventosPartidasCollection.insertMany(eventos);
+        if (simular) pendientesWeb.push(...eventos.filter(e => !e.torneo_id));
+        partidasRevisadas += lote.length;
+        eventosCreados += eventos.length;
+        lote = [];
+    };
+
+    for await (const partida of cursor) {
+        lote.push(partida);
+        if (lote.length === LOTE_MIGRACION) await procesarLote();
+    }
+    await procesarLote();
+
+    const basesTablaGeneral = await fijarBasesTablaGeneral(simular, pendientesWeb);
+    return { partidasRevisadas, eventosCreados, basesTablaGeneral };
+}
+
+/**
+ * Guarda en cada fila de la tabla general que no la tenga su base (lo que la bitácora no explica)
+ * y reporta las que no son cero. `pendientes`: eventos de la web que una simulación no guardó.
+ */
+async function fijarBasesTablaGeneral(simular = false, pendientes = []) {
+    const sinBase = await tablaCollection.find({ base: { $exists: false } }, { projection: { telefono: 0 } }).toArray();
+    if (sinBase.length === 0) return [];
+
+    const guardados = await eventosPartidasCollection
+        .find({ torneo_id: null, tipo: { $in: ['registrada', 'corregida', 'anulada'] } })
+        .sort({ fecha: 1, _id: 1 })
+        .toArray();
+    const eventos = [...guardados, ...pendientes].sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+    const bases = basesTablaGeneral(sinBase, partidasVigentes(eventos));
+
+    if (!simular) {
+        await tablaCollection.bulkWrite(sinBase.map(j => ({ updateOne: { filter: { _id: j._id }, update: { $set: { base: bases[j._id] } } } })));
+    }
+    return sinBase
+        .filter(j => CAMPOS_TABLA_GENERAL.some(c => bases[j._id][c] !== 0))
+        .map(j => ({ nombre: j.nombre, base: bases[j._id] }));
+}
+
+// A. PASAR A LA BITÁCORA LOS PARTIDOS ANTERIORES (correr una vez tras actualizar; se puede repetir)
+app.post('/api/admin/eventos/migrar', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('migrar-eventos', req, res, async (simular) => {
+    const resultado = await migrarEventos(simular);
+    return { message: simular ? 'Simulación: nada se guardó.' : 'Bitácora al día.', ...resultado };
+}));
+
+// B. RECONSTRUIR LAS TABLAS GUARDADAS DESDE LA BITÁCORA
+// Con torneoId: jugadores_inscritos de ese torneo. Sin torneoId: la tabla general de la web.
+app.post('/api/admin/proyecciones/reconstruir', verificarToken, soloAdmin, (req, res) => ejecutarMantenimiento('reconstruir-proyecciones', req, res, async (simular) => {
+    // Qué cambia respecto a lo guardado (para revisar antes de aplicar)
+    const diferenciasEntre = (antes, despues, campos) => {
+        const diferencias = {};
+        campos.forEach(c => {
+            if ((antes?.[c] || 0) !== despues[c]) diferencias[c] = { antes: antes?.[c] || 0, despues: despues[c] };
+        });
+        return diferencias;
+    };
+
+    if (!req.body.torneoId) {
+        const jugadores = await tablaCollection.find({}, { projection: { telefono: 0 } }).toArray();
+        const partidas = await partidasSegunEventos(null);
+        const filas = proyectarTablaGeneral(await filasConBase(jugadores, partidas), partidas);
+        const antes = {};
+        jugadores.forEach(j => { antes[j._id] = j; });
+
+        const cambios = filas
+            .map(f => ({ fila: f, diferencias: diferenciasEntre(antes[f._id], f, CAMPOS_TABLA_GENERAL) }))
+            .filter(c => Object.keys(c.diferencias).length > 0);
+
+        if (!simular) {
+            for (const { fila } of cambios) {
+                const valores = { nombre: fila.nombre };
+                CAMPOS_TABLA_GENERAL.forEach(c => { valores[c] = fila[c]; });
+                await tablaCollection.updateOne({ _id: fila._id }, { $set: valores }, { upsert: true });
+            }
+        }
+        return {
+            message: simular ? 'Simulación: nada se guardó.' : 'Tabla general reconstruida desde la bitácora.',
+            cambios: cambios.map(c => ({ nombre: c.fila.nombre, diferencias: c.diferencias }))
+        };
+    }
+
+    const { torneo, error, status } = await torneoParaMantenimiento(req.body.torneoId);
+    if (error) return { error, status };
+
+    const filas = proyectarTabla(torneo, await partidasParaRanking(torneo));
+    const proyectado = {};
+    filas.forEach(f => { proyectado[f.id] = f; });
+
+    const CAMPOS = ['puntos', 'partidosJugados', 'victorias', 'derrotas', 'empates', 'carambolas', 'entradas', 'serieMayor'];
+    const cambios = (torneo.jugadores_inscritos || [])
+        .map(j => ({ nombre: j.nombre, diferencias: diferenciasEntre(j, proyectado[j.id], CAMPOS) }))
+        .filter(c => Object.keys(c.diferencias).length > 0);
+
+    if (!simular && cambios.length > 0) {
+        await torneosCollection.updateOne({ _id: torneo._id }, { $set: { jugadores_inscritos: filas } });
+    }
+
+    return {
+        message: simular ? 'Simulación: nada se guardó.' : 'Tabla del torneo reconstruida desde la bitácora.',
+        cambios
+    };
+}));
+
+// C. BITÁCORA DE UN TORNEO (organizador)
+app.get('/api/torneos/:id/eventos-partidas', verificarToken, requierePermiso('resultados'), async (req, res) => {
+    try {
+        const eventos = await eventosPartidasCollection
+            .find({ torneo_id: req.torneo._id })
+            .sort({ fecha: 1, _id: 1 })
+            .toArray();
+        res.json({ torneo: req.torneo.nombre, total: eventos.length, eventos });
+
+    } catch (error) {
+        console.error('🔥 Error al leer la bitácora:', error);
+        res.status(500).json({ error: 'Error al leer la bitácora.' });
+    }
+});
+
+// ==========================================
+// ↩️ DESHACER / REHACER (App): POR TORNEO Y POR OPERADOR
+// ==========================================
+// Cada resultado, inscripción o cambio de reglas hecho desde la App queda en la
+// pila de quien lo hizo, en ese torneo. Sólo se deshace lo propio, lo último,
+// dentro del plazo, y si nadie lo tocó desde entonces. Lo deshecho se puede
+// rehacer hasta que el operador haga algo nuevo en el torneo.
+
+const MINUTOS_DESHACER = 15;
+const PERMISO_OPERACION = { resultado: 'resultados', inscripcion: 'inscripciones', reglas: 'reglas' };
+
+/**
+ * Apila una operación de un operador (firma o usuario con id) y descarta lo que tenía por rehacer.
+ */
+async function apilarOperacion(torneo, operador, tipo, descripcion, datos, sesion) {
+    const autor = String(operador.id);
+    await pilaDeshacerCollection.updateMany(
+        { torneo_id: torneo._id, autor, estado: 'deshecha' },
+        { $set: { estado: 'descartada' } },
+        { session: sesion }
+    );
+    await pilaDeshacerCollection.insertOne({
+        torneo_id: torneo._id,
+        autor,
+        tipo,
+        descripcion,
+        datos,
+        estado: 'hecha',
+        creadaEn: new Date(),
+        fecha: new Date() // Última vez que se aplicó (el plazo corre desde aquí)
+    }, { session: sesion });
+}
+
+// Lee un campo con puntos ("reglas.top_clasificados") de un documento
+function valorEnRuta(doc, ruta) {
+    return ruta.split('.').reduce((actual, clave) => (actual == null ? undefined : actual[clave]), doc);
+}
+
+function mismoValor(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function nombreInscrito(torneo, id) {
+    const inscrito = (torneo.jugadores_inscritos || []).find(j => j.id === String(id));
+    return inscrito ? inscrito.nombre : String(id);
+}
+
+/**
+ * Resultado: vuelve el partido a como estaba antes (programado / en vivo) o lo anula si era nuevo.
+ * Rehacer lo deja como lo guardó el operador. Las dos cosas ajustan tabla, bitácora y rating.
+ */
+async function planResultado(op, torneo, sentido, usuario, sesion) {
+    const { partidoId, antes, despues, bloqueo } = op.datos;
+    if (bloqueo) return { error: bloqueo, status: 400 };
+    if (torneo.faseFinal) return { error: 'La liga ya cerró y se armó la llave: sus resultados ya no se deshacen.', status: 400 };
+    if (!admiteResultados(torneo)) {
+        return { error: `El torneo está ${estadoTorneo(torneo)}: ya no se pueden cambiar resultados.`, status: 400 };
+    }
+
+    const actual = await historialCollection.findOne({ _id: partidoId }, { session: sesion });
+    const sinAntes = { ...despues, estado: 'anulado' };
+    const origen = sentido === 'deshacer' ? despues : (antes || sinAntes);
+    const destino = sentido === 'deshacer' ? (antes || sinAntes) : despues;
+
+    // Sólo si el partido sigue como lo dejamos (nadie lo corrigió, anuló o confirmó)
+    const ultimaEdicion = (actual?.historialEdiciones || []).slice(-1)[0];
+    const intacto = actual
+        && actual.estado === origen.estado
+        && mismoValor(actual.puntaje1, origen.puntaje1)
+        && mismoValor(actual.puntaje2, origen.puntaje2)
+        && (sentido === 'deshacer' || ultimaEdicion?.accion === 'deshecha');
+    if (!intacto) return { error: 'Ese partido cambió después (se corrigió, anuló o confirmó). Ya no se puede ' + sentido + '.', status: 409 };
+
+    const cuenta = (p) => (p.estado === 'jugado' ? partidaPuntuada(torneo, p) : null);
+    const quitar = cuenta(actual);
+    const poner = cuenta(destino);
+
+    // Rehacer un resultado de liga vuelve a pasar por el límite de enfrentamientos
+    if (poner) {
+        const limite = await revisarLimiteEnfrentamientos(torneo, destino.jugador1, destino.jugador2, {
+            excluirId: partidoId,
+            excepcion: destino.excepcionLimite || null,
+            sesion
+        });
+        if (limite.error) return limite;
+    }
+
+    const nombre1 = nombreInscrito(torneo, despues.jugador1);
+    const nombre2 = nombreInscrito(torneo, despues.jugador2);
+    const aportes = (p, signo) => (p ? aportePartida(p).map(a => ({ jugador: nombreInscrito(torneo, a.id), puntos: signo * a.puntos, partidos: signo })) : []);
+
+    return {
+        vistaPrevia: {
+            partido: `${nombre1} ${despues.puntaje1}-${despues.puntaje2} ${nombre2}`,
+            estadoActual: actual.estado,
+            quedaraComo: destino.estado,
+            tabla: [...aportes(quitar, -1), ...aportes(poner, 1)]
+        },
+        aplicar: async () => {
+            const firma = firmaUsuario(usuario, torneo);
+            const fecha = new Date();
+
+            if (quitar) {
+                await aplicarEstadisticasTorneo(torneo._id, quitar, -1, sesion);
+                await registrarEvento('anulada', { partida: actual, motivo: sentido === 'deshacer' ? 'Deshecho' : 'Rehecho', por: firma }, sesion);
+            }
+
+            const edicion = {
+                accion: sentido === 'deshacer' ? 'deshecha' : 'rehecha',
+                por: firma,
+                fecha,
+                antes: fotoResultado(actual),
+                despues: fotoResultado(destino)
+            };
+            const { _id, historialEdiciones, ...campos } = destino;
+            await historialCollection.replaceOne(
+                { _id: partidoId },
+                { ...campos, historialEdiciones: [...(actual.historialEdiciones || []), edicion] },
+                { session: sesion }
+            );
+
+            if (poner) {
+                await aplicarEstadisticasTorneo(torneo._id, poner, 1, sesion);
+                await registrarEvento('registrada', { partida: { ...destino, _id: partidoId }, motivo: 'Rehecho', por: firma }, sesion);
+            }
+
+            return async () => {
+                if (quitar) {
+                    await revertirRatings(partidoId);
+                    await recalcularSerieMayor(torneo._id, [actual.jugador1, actual.jugador2]);
+                }
+                if (poner) await actualizarRatings({ ...destino, _id: partidoId }, torneo);
+                await notificarTorneo(torneo._id, sentido, { partidoId, ...edicion });
+            };
+        }
+    };
+}
+
+/**
+ * Inscripción: deshacer la quita (si aún no tiene partidos ni pagos); rehacer la vuelve a poner.
+ */
+async function planInscripcion(op, torneo, sentido, usuario, sesion) {
+    const { inscrito } = op.datos;
+    if (estadoTorneo(torneo) !== 'abierto') {
+        return { error: `Las inscripciones están cerradas (torneo ${estadoTorneo(torneo)}).`, status: 400 };
+    }
+
+    const presente = (torneo.jugadores_inscritos || []).some(j => j.id === inscrito.id);
+    if (sentido === 'deshacer') {
+        if (!presente) return { error: 'Ese jugador ya no está inscrito.', status: 409 };
+        const partidos = await historialCollection.countDocuments({ torneo_id: torneo._id, $or: [{ jugador1: inscrito.id }, { jugador2: inscrito.id }] }, { session: sesion });
+        const pagos = await pagosCollection.countDocuments({ torneo_id: torneo._id, jugador_id: inscrito.id }, { session: sesion });
+        if (partidos > 0 || pagos > 0) {
+            return { error: 'El jugador ya tiene partidos o pagos en el torneo: no se puede quitar su inscripción.', status: 409 };
+        }
+    } else {
+        const repetido = (torneo.jugadores_inscritos || []).some(j =>
+            j.id === inscrito.id || j.jugador_id === inscrito.jugador_id || j.telefono === inscrito.telefono);
+        if (repetido) return { error: 'Ese jugador ya está inscrito.', status: 409 };
+    }
+
+    return {
+        vistaPrevia: { jugador: inscrito.nombre, accion: sentido === 'deshacer' ? 'se quita del torneo' : 'se vuelve a inscribir' },
+        aplicar: async () => {
+            const cambio = sentido === 'deshacer'
+                ? { $pull: { jugadores_inscritos: { id: inscrito.id } } }
+                : { $push: { jugadores_inscritos: inscrito } };
+            await torneosCollection.updateOne({ _id: torneo._id }, cambio, { session: sesion });
+
+            return async () => {
+                await notificarTorneo(torneo._id, 'inscripcion', { jugador: { id: inscrito.id, nombre: inscrito.nombre }, [sentido]: true });
+            };
+        }
+    };
+}
+
+/**
+ * Reglas: vuelve cada campo cambiado a su valor anterior (o al nuevo, al rehacer)
+ * si nadie lo cambió desde entonces.
+ */
+async function planReglas(op, torneo, sentido, usuario, sesion) {
+    const { cambios, anteriores } = op.datos;
+    if (reglasCongeladas(torneo)) {
+        return { error: `Las reglas están congeladas (torneo ${estadoTorneo(torneo)}). Cámbialas con editar-reglas, forzando y con motivo.`, status: 400 };
+    }
+
+    const esperado = sentido === 'deshacer' ? cambios : anteriores;
+    const destino = sentido === 'deshacer' ? anteriores : cambios;
+    const tocados = Object.keys(esperado).filter(ruta => !mismoValor(valorEnRuta(torneo, ruta), esperado[ruta]));
+    if (tocados.length > 0) {
+        return { error: `Estas reglas cambiaron después: ${tocados.join(', ')}. Ya no se puede ${sentido}.`, status: 409 };
+    }
+
+    return {
+        vistaPrevia: {
+            reglas: Object.keys(destino).map(ruta => ({ campo: ruta, actual: valorEnRuta(torneo, ruta) ?? null, quedaraEn: destino[ruta] ?? null }))
+        },
+        aplicar: async () => {
+            const $set = {};
+            const $unset = {};
+            Object.keys(destino).forEach(ruta => {
+                if (destino[ruta] === undefined || destino[ruta] === null) $unset[ruta] = '';
+                else $set[ruta] = destino[ruta];
+            });
+            const operacion = {};
+            if (Object.keys($set).length > 0) operacion.$set = $set;
+            if (Object.keys($unset).length > 0) operacion.$unset = $unset;
+
+            await torneosCollection.updateOne({ _id: torneo._id }, operacion, { session: sesion });
+            await registrarEvento('reglas_cambiadas', {
+                torneoId: torneo._id,
+                reglasAnteriores: torneo.reglas,
+                cambios: destino,
+                motivo: sentido === 'deshacer' ? 'Deshecho' : 'Rehecho',
+                por: firmaUsuario(usuario, torneo)
+            }, sesion);
+
+            return async () => {
+                await notificarTorneo(torneo._id, 'reglas', { cambios: destino, [sentido]: true });
+            };
+        }
+    };
+}
+
+const PLANES_OPERACION = { resultado: planResultado, inscripcion: planInscripcion, reglas: planReglas };
+
+/**
+ * La última operación del usuario en el torneo que se puede deshacer (o rehacer), con su plan.
+ * Devuelve { op, vence, plan } o { error, status }. Con `sesion` lee dentro de la transacción.
+ */
+async function operacionParaRevertir(req, torneo, sentido, sesion) {
+    const deshacer = sentido === 'deshacer';
+    const op = await pilaDeshacerCollection.findOne(
+        { torneo_id: torneo._id, autor: String(req.usuario.id), estado: deshacer ? 'hecha' : 'deshecha' },
+        { sort: deshacer ? { fecha: -1 } : { deshechaEn: -1 }, session: sesion }
+    );
+    if (!op) return { error: `No tienes nada que ${sentido} en este torneo.`, status: 404 };
+
+    const vence = new Date((deshacer ? op.fecha : op.deshechaEn).getTime() + MINUTOS_DESHACER * 60 * 1000);
+    if (vence < new Date()) {
+        return { error: `Pasaron más de ${MINUTOS_DESHACER} minutos: ya no se puede ${sentido} "${op.descripcion}".`, status: 400 };
+    }
+    if (!tienePermiso(req.usuario, torneo, PERMISO_OPERACION[op.tipo])) {
+        return { error: 'Ya no tienes permiso para cambiar eso en este torneo.', status: 403 };
+    }
+
+    const plan = await PLANES_OPERACION[op.tipo](op, torneo, sentido, req.usuario, sesion);
+    if (plan.error) return plan;
+    return { op, vence, plan };
+}
+
+// Lo que ve el operador antes de confirmar
+function vistaOperacion({ op, vence, plan }) {
+    return {
+        operacion: { id: op._id, tipo: op.tipo, descripcion: op.descripcion, fecha: op.fecha },
+        vence,
+        revertira: plan.vistaPrevia
+    };
+}
+
+function rutasRevertir(sentido) {
+    // A. VISTA PREVIA (no cambia nada)
+    app.get(`/api/torneos/:id/${sentido}`, verificarToken, async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Falta un torneoId válido.' });
+            const torneo = await torneosCollection.findOne({ _id: new ObjectId(req.params.id) });
+            if (!torneo) return res.status(404).json({ error: 'Torneo no encontrado.' });
+
+            // Mismo plan que al aplicar, leído fuera de transacción (sesion = undefined)
+            const revision = await operacionParaRevertir(req, torneo, sentido, undefined);
+            if (revision.error) return res.status(revision.status).json({ error: revision.error });
+
+            res.json(vistaOperacion(revision));
+
+        } catch (error) {
+            console.error(`🔥 Error al preparar ${sentido}:`, error);
+            res.status(500).json({ error: `Error al preparar ${sentido}.` });
+        }
+    });
+
+    // B. APLICAR (en una transacción; con clave de idempotencia un doble toque no revierte dos cosas)
+    app.post(`/api/torneos/${sentido}`, verificarToken, async (req, res) => {
+        try {
+            const { torneoId } = req.body;
+            if (!torneoId || !ObjectId.isValid(torneoId)) return res.status(400).json({ error: 'Falta un torneoId válido.' });
+
+            const respuesta = await operacionAtomica(req, req.usuario.id, async (sesion) => {
+                const torneo = await torneosCollection.findOne({ _id: new ObjectId(torneoId) }, { session: sesion });
+                if (!torneo) return { status: 404, cuerpo: { error: 'Torneo no encontrado.' } };
+
+                const revision = await operacionParaRevertir(req, torneo, sentido, sesion);
+                if (revision.error) return { status: revision.status, cuerpo: { error: revision.error } };
+
+                // Si otro toque ya la movió, no se aplica dos veces
+                const ahora = new Date();
+                const { modifiedCount } = await pilaDeshacerCollection.updateOne(
+                    { _id: revision.op._id, estado: revision.op.estado },
+                    { $set: sentido === 'deshacer' ? { estado: 'deshecha', deshechaEn: ahora } : { estado: 'hecha', fecha: ahora } },
+                    { session: sesion }
+                );
+                if (modifiedCount === 0) return { status: 409, cuerpo: { error: 'Esa operación ya se está revirtiendo.' } };
+
+                const despues = await revision.plan.aplicar();
+                return {
+                    cuerpo: { message: sentido === 'deshacer' ? 'Operación deshecha.' : 'Operación rehecha.', ...vistaOperacion(revision) },
+                    despues
+                };
+            });
+
+            responderOperacion(res, respuesta);
+
+        } catch (error) {
+            console.error(`🔥 Error al ${sentido}:`, error);
+            res.status(500).json({ error: `Error al ${sentido}.` });
+        }
+    });
+}
+
+rutasRevertir('deshacer');
+rutasRevertir('rehacer');
+
+// =======================================================
+// 8. ▶️ INICIALIZACIÓN DEL SERVIDOR
+// =======================================================
+
+// Sólo con "node index.js": las pruebas cargan el archivo sin conectarse ni escuchar
+if (require.main === module) {
+    connectToDB().then(() => {
+        // Cada 5 minutos: los resultados sin confirmar cuyo plazo venció cuentan solos
+        setInterval(() => {
+            confirmarVencidos().catch(error => console.error('🔥 Error al confirmar vencidos:', error));
+        }, 5 * 60 * 1000);
+
+        // '0.0.0.0' permite que te conectes desde el celular (externo)
+        app.listen(port, '0.0.0.0', () => {
+            console.log(`🚀 Servidor corriendo en http://localhost:${port}`);
+            console.log(`📡 Accesible en red: http://192.168.100.6:${port}`);
+        });
+    });
+}
+
+// La app y las funciones puras que cubren las pruebas (test/)
+module.exports = {
+    app,
+    reglasPuntuacion,
+    decidirResultado,
+    puntuarPartida,
+    resolverEmpate,
+    ordenarTabla,
+    ordenSiembraEstandar,
+    ordenSiembraSerpiente,
+    calcularElo,
+    eventosDePartidaVieja,
+    partidasVigentes,
+    proyectarTablaGeneral,
+    basesTablaGeneral
+};
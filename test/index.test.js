@@ -0,0 +1,245 @@
+// Pruebas de las funciones puras de index.js (npm test)
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+// El cliente de MongoDB se crea al cargar el archivo, pero sólo conecta con "node index.js"
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
+const {
+    reglasPuntuacion,
+    decidirResultado,
+    puntuarPartida,
+    resolverEmpate,
+    ordenarTabla,
+    ordenSiembraEstandar,
+    ordenSiembraSerpiente,
+    calcularElo,
+    eventosDePartidaVieja,
+    partidasVigentes,
+    proyectarTablaGeneral,
+    basesTablaGeneral
+} = require('../index.js');
+
+describe('reglasPuntuacion', () => {
+    test('usa los valores por defecto', () => {
+        assert.deepEqual(reglasPuntuacion({}), {
+            ganar: 3, perder: 0, empatar: 1, permiteEmpates: true,
+            bonoBlanqueada: 0, bonoSerieAlta: 0, serieAltaMinima: 0
+        });
+    });
+
+    test('los torneos sin permiteEmpates aceptan empates; los que lo apagaron, no', () => {
+        assert.equal(reglasPuntuacion({ puntos_ganar: 2 }).permiteEmpates, true);
+        assert.equal(reglasPuntuacion({ permiteEmpates: false }).permiteEmpates, false);
+    });
+});
+
+describe('decidirResultado', () => {
+    test('sin handicap gana el marcador mayor', () => {
+        const { ganadorId, error } = decidirResultado({ reglas: {} }, 'a', 'b', 30, 12);
+        assert.equal(error, undefined);
+        assert.equal(ganadorId, 'a');
+    });
+
+    test('rechaza el empate si el torneo no lo permite', () => {
+        const { error } = decidirResultado({ reglas: { permiteEmpates: false } }, 'a', 'b', 20, 20);
+        assert.match(error, /no permite empates/);
+    });
+
+    test('con handicap gana quien llegó a su meta', () => {
+        const torneo = { reglas: { usaHandicap: true } };
+        const { ganadorId } = decidirResultado(torneo, 'a', 'b', 18, 25, { meta1: 30, meta2: 25 });
+        assert.equal(ganadorId, 'b');
+    });
+});
+
+describe('puntuarPartida', () => {
+    test('deja los puntos de ganador y perdedor en la partida', () => {
+        const partida = { jugador1: 'a', jugador2: 'b', puntaje1: 30, puntaje2: 12, ganadorId: 'a' };
+        assert.equal(puntuarPartida(reglasPuntuacion({ puntos_perder: 1 }), partida), true);
+        assert.equal(partida.puntos1, 3);
+        assert.equal(partida.puntos2, 1);
+    });
+
+    test('suma los bonos de blanqueada y serie alta', () => {
+        const reglas = reglasPuntuacion({ bonoBlanqueada: 2, bonoSerieAlta: 1, serieAltaMinima: 8 });
+        const partida = { jugador1: 'a', jugador2: 'b', puntaje1: 30, puntaje2: 0, serie1: 9, serie2: 0, ganadorId: 'a' };
+        puntuarPartida(reglas, partida);
+        assert.equal(partida.puntos1, 6);
+        assert.equal(partida.puntos2, 0);
+    });
+
+    test('un empate da puntos_empatar a cada uno, o no vale si no se permite', () => {
+        const empate = { jugador1: 'a', jugador2: 'b', puntaje1: 20, puntaje2: 20, ganadorId: null };
+        assert.equal(puntuarPartida(reglasPuntuacion({}), empate), true);
+        assert.deepEqual([empate.puntos1, empate.puntos2], [1, 1]);
+
+        assert.equal(puntuarPartida(reglasPuntuacion({ permiteEmpates: false }), { ...empate }), false);
+    });
+});
+
+describe('resolverEmpate', () => {
+    const contexto = (desempates, enContra = {}) => ({ partidas: [], desempates, semilla: 't', enContra });
+
+    test('un criterio que deja subgrupos empatados vuelve a empezar con ellos', () => {
+        const grupo = [
+            { id: 'z', carambolas: 0, serieMayor: 9 },
+            { id: 'x', carambolas: 10, serieMayor: 4 },
+            { id: 'y', carambolas: 10, serieMayor: 6 }
+        ];
+        const orden = resolverEmpate(grupo, contexto(['diferencia', 'serie'], { x: 5, y: 5, z: 0 }));
+        assert.deepEqual(orden.map(f => f.id), ['y', 'x', 'z']);
+        assert.deepEqual(orden.map(f => f.decididoPor), ['serie', 'serie', 'diferencia']);
+    });
+
+    test('si ningún criterio los separa quedan marcados como empatados', () => {
+        const grupo = [{ id: 'a', serieMayor: 5 }, { id: 'b', serieMayor: 5 }];
+        const orden = resolverEmpate(grupo, contexto(['serie']));
+        assert.deepEqual(orden.map(f => f.id), ['a', 'b']);
+        assert.ok(orden.every(f => f.empatado && f.decididoPor === null));
+    });
+});
+
+describe('ordenarTabla', () => {
+    test('ordena por puntos y desempata por enfrentamiento directo', () => {
+        const filas = [
+            { id: 'c', puntos: 3 },
+            { id: 'a', puntos: 6 },
+            { id: 'b', puntos: 3 }
+        ];
+        const partidas = [{ jugador1: 'b', jugador2: 'c', puntaje1: 30, puntaje2: 20, puntos1: 3, puntos2: 0 }];
+        const tabla = ordenarTabla(filas, { partidas, semilla: 't' });
+
+        assert.deepEqual(tabla.map(f => f.id), ['a', 'b', 'c']);
+        assert.equal(tabla[0].decididoPor, null);
+        assert.equal(tabla[1].decididoPor, 'enfrentamiento');
+        assert.equal(tabla[2].carambolasEnContra, 30);
+    });
+
+    test('el sorteo sale igual en cada llamada', () => {
+        const filas = [{ id: 'a', puntos: 0 }, { id: 'b', puntos: 0 }, { id: 'c', puntos: 0 }];
+        const orden = () => ordenarTabla(filas, { desempates: ['sorteo'], semilla: 'torneo-1' }).map(f => f.id);
+        assert.deepEqual(orden(), orden());
+    });
+});
+
+describe('siembra de la llave', () => {
+    test('estándar: el 1 y el 2 quedan en mitades opuestas', () => {
+        assert.deepEqual(ordenSiembraEstandar(2), [1, 2]);
+        assert.deepEqual(ordenSiembraEstandar(4), [1, 4, 2, 3]);
+        assert.deepEqual(ordenSiembraEstandar(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+
+        const dieciseis = ordenSiembraEstandar(16);
+        assert.deepEqual([...dieciseis].sort((a, b) => a - b), Array.from({ length: 16 }, (_, i) => i + 1));
+        assert.ok(dieciseis.slice(0, 8).includes(1));
+        assert.ok(dieciseis.slice(8).includes(2));
+    });
+
+    test('cada cruce de primera ronda suma tamaño + 1', () => {
+        const orden = ordenSiembraEstandar(16);
+        for (let i = 0; i < orden.length; i += 2) assert.equal(orden[i] + orden[i + 1], 17);
+    });
+
+    test('serpiente', () => {
+        assert.deepEqual(ordenSiembraSerpiente([1, 2, 3, 4, 5, 6, 7, 8]), [1, 8, 4, 5, 2, 7, 3, 6]);
+    });
+});
+
+describe('calcularElo', () => {
+    const veterano = { rating: 1500, partidas: 20 };
+
+    test('una paliza mueve el doble que una victoria apretada', () => {
+        const paliza = calcularElo(veterano, veterano, 30, 0, 1);
+        assert.deepEqual(paliza, { cambioA: 32, cambioB: -32, margen: 1 });
+
+        const apretada = calcularElo(veterano, veterano, 30, 29, 1);
+        assert.deepEqual(apretada, { cambioA: 16.5, cambioB: -16.5, margen: 0.03 });
+    });
+
+    test('un jugador nuevo usa un K más alto', () => {
+        const { cambioA, cambioB } = calcularElo({ rating: 1500, partidas: 0 }, veterano, 30, 0, 1);
+        assert.equal(cambioA, 48);
+        assert.equal(cambioB, -32);
+    });
+
+    test('el favorito gana poco y el empate le quita', () => {
+        const favorito = { rating: 1900, partidas: 20 };
+        assert.ok(calcularElo(favorito, veterano, 30, 0, 1).cambioA < 8);
+        assert.ok(calcularElo(favorito, veterano, 20, 20, 0.5).cambioA < 0);
+    });
+});
+
+describe('eventosDePartidaVieja', () => {
+    const fecha = new Date('2025-03-01T20:00:00Z');
+
+    test('una partida de la web sin ediciones se registra con su fecha', () => {
+        const partida = { _id: 'w1', ganador: 'Ana', perdedor: 'Beto', marcadorGanador: 30, marcadorPerdedor: 12, fecha };
+        const eventos = eventosDePartidaVieja(partida);
+
+        assert.equal(eventos.length, 1);
+        assert.equal(eventos[0].tipo, 'registrada');
+        assert.equal(eventos[0].torneo_id, null);
+        assert.equal(eventos[0].migrado, true);
+        assert.deepEqual(eventos[0].fecha, fecha);
+        assert.equal(eventos[0].partida._id, undefined);
+    });
+
+    test('rehace las correcciones y la anulación desde el historial de ediciones', () => {
+        const partida = {
+            _id: 'p1', torneo_id: 't1', jugador1: 'a', jugador2: 'b', puntaje1: 30, puntaje2: 15, estado: 'anulado', fecha,
+            historialEdiciones: [
+                { accion: 'corregida', antes: { puntaje1: 30, puntaje2: 10, estado: 'jugado' }, despues: { puntaje2: 15 }, fecha: new Date('2025-03-02') },
+                { accion: 'anulada', motivo: 'Mal cargada', fecha: new Date('2025-03-03') }
+            ]
+        };
+        const eventos = eventosDePartidaVieja(partida);
+
+        assert.deepEqual(eventos.map(e => e.tipo), ['registrada', 'corregida', 'anulada']);
+        assert.equal(eventos[0].partida.puntaje2, 10);
+        assert.equal(eventos[1].partida.puntaje2, 15);
+        assert.equal(eventos[2].partida, null);
+        assert.equal(eventos[2].motivo, 'Mal cargada');
+    });
+
+    test('un resultado de torneo que nunca contó no genera eventos', () => {
+        const partida = { _id: 'p2', torneo_id: 't1', jugador1: 'a', jugador2: 'b', puntaje1: 30, puntaje2: 5, estado: 'pendiente', fecha };
+        assert.deepEqual(eventosDePartidaVieja(partida), []);
+    });
+
+    test('la bitácora rehecha deja la última versión de cada partida', () => {
+        const partida = {
+            _id: 'p3', torneo_id: 't1', jugador1: 'a', jugador2: 'b', puntaje1: 30, puntaje2: 15, estado: 'jugado', fecha,
+            historialEdiciones: [{ accion: 'corregida', antes: { puntaje2: 10 }, despues: { puntaje2: 15 }, fecha: new Date('2025-03-02') }]
+        };
+        const vigentes = partidasVigentes(eventosDePartidaVieja(partida));
+        assert.equal(vigentes.length, 1);
+        assert.equal(vigentes[0].puntaje2, 15);
+        assert.equal(vigentes[0]._id, 'p3');
+    });
+});
+
+describe('tabla general de la web', () => {
+    const jugadores = [
+        { _id: 'Ana', nombre: 'Ana', puntos: 10, ganadas: 3, partidasJugadas: 3, totalCarambolas: 60 },
+        { _id: 'Beto', nombre: 'Beto', puntos: 1, ganadas: 0, partidasJugadas: 1, totalCarambolas: 5 }
+    ];
+    const partidas = [{ ganador: 'Ana', perdedor: 'Beto', marcadorGanador: 20, marcadorPerdedor: 5 }];
+
+    test('la base guarda lo que las partidas no explican', () => {
+        const bases = basesTablaGeneral(jugadores, partidas);
+        assert.deepEqual(bases.Ana, { puntos: 7, ganadas: 2, partidasJugadas: 2, totalCarambolas: 40 });
+        assert.deepEqual(bases.Beto, { puntos: 0, ganadas: 0, partidasJugadas: 0, totalCarambolas: 0 });
+    });
+
+    test('la proyección con base da lo guardado', () => {
+        const bases = basesTablaGeneral(jugadores, partidas);
+        const filas = proyectarTablaGeneral(jugadores.map(j => ({ ...j, base: bases[j._id] })), partidas);
+        const ana = filas.find(f => f._id === 'Ana');
+        assert.equal(ana.puntos, 10);
+        assert.equal(ana.totalCarambolas, 60);
+    });
+
+    test('un jugador que sólo aparece en las partidas entra en la tabla', () => {
+        const filas = proyectarTablaGeneral([], partidas);
+        assert.deepEqual(filas.map(f => [f._id, f.puntos]), [['Ana', 3], ['Beto', 1]]);
+    });
+});